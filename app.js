@@ -1,18 +1,38 @@
 require('dotenv').config();
 const express = require('express');
-const { client } = require('./services');
+const { client, connectRedis } = require('./services');
+const { getProvider } = require('./providers');
 const setupRoutes = require('./routes');
+const { resumeJobs } = require('./jobs');
+const { resumeBatches } = require('./batches');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 /* ---------- Middleware ---------- */
-app.use(express.json());
+// Backup archives are parsed by their own route, after authentication, with a larger limit
+app.use(express.json({ type: req => req.path !== '/admin/import' && Boolean(req.is('json')) }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
+/* ---------- Redis ---------- */
+connectRedis().catch(err => console.error('Redis connection failed:', err));
+
+/* ---------- LLM Provider ---------- */
+// Logged here rather than in services.js, which the CLI loads as well
+const provider = getProvider();
+console.log(`🤖 LLM provider: ${provider.name} (${provider.model})`);
+
 /* ---------- Routes ---------- */
 setupRoutes(app, client);
 
 /* ---------- Start Server ---------- */
 app.listen(PORT, () => console.log(`🚀 Universal + Keyword-to-Book generator on port ${PORT}`));
+
+/* ---------- Resume unfinished jobs and batches ---------- */
+resumeJobs(client)
+  .then(n => n && console.log(`♻️ Resumed ${n} unfinished job(s)`))
+  .catch(err => console.error('Job resume failed:', err))
+  .then(() => resumeBatches(client))
+  .then(n => n && console.log(`♻️ Resumed ${n} unfinished batch(es)`))
+  .catch(err => console.error('Batch resume failed:', err));
@@ -0,0 +1,260 @@
+/**
+ * API-key authentication and per-user workspaces. Keys are sent as
+ * `Authorization: Bearer <key>`, an `X-API-Key` header, or the `api_key`
+ * cookie set by the login page (so browser pages and EventSource work).
+ *
+ * The built-in administrator authenticates with `ADMIN_API_KEY` and owns the
+ * root key space, which holds everything stored before accounts existed.
+ * Other accounts are created by an administrator; each gets a random API key
+ * (only its hash is stored) and a workspace in which every key it stores is
+ * prefixed with `u:<id>:`. Handlers receive the workspace as `req.client`, a
+ * client that applies the prefix transparently, so works, jobs, templates and
+ * usage are per user and other users' keys cannot be reached.
+ *
+ * Without `ADMIN_API_KEY` authentication is off and every request acts as the
+ * built-in administrator, as before accounts existed.
+ * @module auth
+ */
+const crypto = require('crypto');
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const ROLES = ['user', 'admin'];
+const COOKIE = 'api_key';
+
+// Paths reachable without a key
+const PUBLIC_PATHS = ['/login'];
+
+const BUILT_IN_ADMIN = { id: 'admin', name: 'admin', role: 'admin', builtIn: true };
+
+/**
+ * Whether requests must authenticate.
+ * @returns {boolean} True if an admin key is configured.
+ */
+function authEnabled() {
+  return Boolean(ADMIN_API_KEY);
+}
+
+/**
+ * Hashes an API key for storage and lookup.
+ * @param {string} key - The API key.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Returns the key prefix of a user's workspace.
+ * @param {Object} user - The user record.
+ * @returns {string} The prefix; empty for the built-in administrator.
+ */
+function workspacePrefix(user) {
+  return user.builtIn ? '' : `u:${user.id}:`;
+}
+
+/**
+ * Wraps a Redis client so that every key it reads or writes is prefixed,
+ * confining its user to one workspace. Supports the commands the app uses.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} prefix - The key prefix; an empty prefix returns the client itself.
+ * @returns {Object} The scoped client.
+ */
+function scopedClient(client, prefix) {
+  if (!prefix) return client;
+  const scope = keys => (Array.isArray(keys) ? keys.map(k => prefix + k) : prefix + keys);
+  return {
+    prefix,
+    get: key => client.get(scope(key)),
+    set: (key, value, opts) => client.set(scope(key), value, opts),
+    del: keys => client.del(scope(keys)),
+    exists: keys => client.exists(scope(keys)),
+    incrBy: (key, n) => client.incrBy(scope(key), n),
+    incrByFloat: (key, n) => client.incrByFloat(scope(key), n),
+    keys: async pattern => (await client.keys(prefix + pattern)).map(k => k.slice(prefix.length)),
+    scanIterator: async function* (opts = {}) {
+      for await (const key of client.scanIterator({ ...opts, MATCH: prefix + (opts.MATCH || '*') })) {
+        yield key.slice(prefix.length);
+      }
+    },
+  };
+}
+
+/* ---------- Accounts ---------- */
+
+/**
+ * Creates a user account with a new API key.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {Object} fields - The account fields.
+ * @param {string} fields.name - The display name.
+ * @param {string} [fields.role='user'] - One of ROLES.
+ * @returns {Promise<Object>} { user, apiKey } on success, or { error }. The key is not stored.
+ */
+async function createUser(client, { name, role = 'user' }) {
+  if (!name || typeof name !== 'string' || name.length > 80) {
+    return { error: 'name required (at most 80 characters)' };
+  }
+  if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+  const user = { id: crypto.randomBytes(6).toString('hex'), name, role, createdAt: new Date().toISOString() };
+  const apiKey = await issueKey(client, user);
+  return { user: publicUser(user), apiKey };
+}
+
+/**
+ * Gives a user a new API key, revoking the previous one.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {Object} user - The stored user record.
+ * @returns {Promise<string>} The new API key.
+ */
+async function issueKey(client, user) {
+  if (user.keyHash) await client.del(`api-key:${user.keyHash}`);
+  const apiKey = `bk_${crypto.randomBytes(24).toString('hex')}`;
+  user.keyHash = hashKey(apiKey);
+  await client.set(`api-key:${user.keyHash}`, user.id);
+  await client.set(`user:${user.id}`, JSON.stringify(user));
+  return apiKey;
+}
+
+/**
+ * Strips the key hash from a user record.
+ * @param {Object} user - The stored user record.
+ * @returns {Object} The public fields.
+ */
+function publicUser({ keyHash, ...rest }) {
+  return rest;
+}
+
+/**
+ * Loads a stored user account.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {string} id - The user id.
+ * @returns {Promise<Object|null>} The stored record, or null if it does not exist.
+ */
+async function getUser(client, id) {
+  const raw = await client.get(`user:${id}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Lists the user accounts.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @returns {Promise<Array<Object>>} Public user records, oldest first.
+ */
+async function listUsers(client) {
+  const keys = await client.keys('user:*');
+  const users = await Promise.all(keys.map(k => getUser(client, k.slice('user:'.length))));
+  return users
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicUser);
+}
+
+/**
+ * Deletes a user account and revokes its key. The workspace is left in place.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {string} id - The user id.
+ * @returns {Promise<boolean>} False if the account does not exist.
+ */
+async function deleteUser(client, id) {
+  const user = await getUser(client, id);
+  if (!user) return false;
+  await client.del([`user:${id}`, `api-key:${user.keyHash}`]);
+  return true;
+}
+
+/**
+ * Resolves an API key to its user.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {string} key - The API key.
+ * @returns {Promise<Object|null>} The user record, or null if the key is unknown.
+ */
+async function userForKey(client, key) {
+  if (!key || typeof key !== 'string') return null;
+  const hash = hashKey(key);
+  if (crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashKey(ADMIN_API_KEY), 'hex'))) {
+    return BUILT_IN_ADMIN;
+  }
+  const id = await client.get(`api-key:${hash}`);
+  return id ? getUser(client, id) : null;
+}
+
+/* ---------- Middleware ---------- */
+
+/**
+ * Reads the API key of a request from its headers or login cookie.
+ * @param {Express.Request} req - The request.
+ * @returns {string|null} The key, or null if none was sent.
+ */
+function requestKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (bearer) return bearer[1];
+  if (req.get('x-api-key')) return req.get('x-api-key');
+  const cookie = (req.get('cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(COOKIE.length + 1)) : null;
+}
+
+/**
+ * Builds the middleware that authenticates every request and attaches the
+ * user (`req.user`) and their workspace client (`req.client`). Unauthenticated
+ * page requests are redirected to the login page; API requests get a 401.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @returns {Function} The Express middleware.
+ */
+function authenticate(client) {
+  if (!authEnabled()) {
+    console.warn('⚠️ ADMIN_API_KEY is not set: authentication is disabled.');
+  }
+  return async (req, res, next) => {
+    try {
+      const user = authEnabled() ? await userForKey(client, requestKey(req)) : BUILT_IN_ADMIN;
+      if (!user) {
+        if (PUBLIC_PATHS.includes(req.path)) return next();
+        if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') return res.redirect('/login');
+        return res.status(401).json({ error: 'authentication required' });
+      }
+      req.user = publicUser(user);
+      req.client = scopedClient(client, workspacePrefix(user));
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+/**
+ * Middleware that only lets administrators through.
+ * @param {Express.Request} req - The request.
+ * @param {Express.Response} res - The response.
+ * @param {Function} next - The next handler.
+ */
+function requireAdmin(req, res, next) {
+  if (req.user?.role === 'admin') return next();
+  res.status(403).json({ error: 'administrator only' });
+}
+
+/**
+ * Builds the Set-Cookie value that stores (or, without a key, clears) the login.
+ * @param {string|null} key - The API key.
+ * @returns {string} The cookie header value.
+ */
+function loginCookie(key) {
+  return key
+    ? `${COOKIE}=${encodeURIComponent(key)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${30 * 24 * 3600}`
+    : `${COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
+
+module.exports = {
+  ROLES,
+  authEnabled,
+  workspacePrefix,
+  scopedClient,
+  createUser,
+  issueKey,
+  getUser,
+  listUsers,
+  deleteUser,
+  userForKey,
+  publicUser,
+  authenticate,
+  requireAdmin,
+  loginCookie,
+};
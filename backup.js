@@ -0,0 +1,204 @@
+/**
+ * Library backup and restore. An archive is one JSON document holding every
+ * book (overview, outline, chapters, continuity summaries, full text and
+ * metadata) and every universal piece of a workspace, so a library can be
+ * kept offline or moved to another Redis instance. Importing stores each work
+ * as a new revision ("Imported from backup"), on top of the history of a work
+ * it overwrites; revision history itself is not part of the archive.
+ * @module backup
+ */
+const {
+  claimSlug,
+  storeBook,
+  loadBook,
+  updateTranslations,
+  storePiece,
+} = require('./books');
+const { LANGUAGES } = require('./languages');
+
+const ARCHIVE_FORMAT = 'book-library-backup';
+const ARCHIVE_VERSION = 1;
+const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Builds a backup archive of every book and piece in a workspace.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @returns {Promise<Object>} The archive.
+ */
+async function exportLibrary(client) {
+  const [bookKeys, pieceKeys] = await Promise.all([client.keys('book-full:*'), client.keys('content:*')]);
+  const books = [];
+  for (const slug of bookKeys.map(k => k.slice('book-full:'.length)).sort()) {
+    const book = await loadBook(client, slug);
+    if (!book) continue;
+    books.push({ slug, ...book, fullText: await client.get(`book-full:${slug}`) });
+  }
+  const pieces = [];
+  for (const slug of pieceKeys.map(k => k.slice('content:'.length)).sort()) {
+    const [overview, content, rawMeta] = await Promise.all([
+      client.get(`overview:${slug}`),
+      client.get(`content:${slug}`),
+      client.get(`content-meta:${slug}`),
+    ]);
+    pieces.push({ slug, overview: overview || '', content, meta: rawMeta ? JSON.parse(rawMeta) : {} });
+  }
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    books,
+    pieces,
+  };
+}
+
+/**
+ * Checks the language and translation links of an archived work's metadata,
+ * which book pages and exports write into HTML attributes and links, and the
+ * dates and keywords the library sorts and filters on.
+ * @param {Object} meta - The archived metadata.
+ * @returns {string|null} An error message, or null if the metadata is usable.
+ */
+function metaError(meta) {
+  const known = code => typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+  const isoDate = value => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+  if (meta.language != null && !known(meta.language)) return 'meta.language is not a supported language';
+  for (const field of ['createdAt', 'updatedAt']) {
+    if (meta[field] != null && !isoDate(meta[field])) return `meta.${field} must be an ISO date`;
+  }
+  if (meta.keywords != null && typeof meta.keywords !== 'string') return 'meta.keywords must be a string';
+  if (meta.translationOf != null) {
+    const { slug, language } = meta.translationOf;
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) return 'meta.translationOf has an invalid slug';
+    if (language != null && !known(language)) return 'meta.translationOf.language is not a supported language';
+  }
+  if (meta.translations != null) {
+    if (typeof meta.translations !== 'object' || Array.isArray(meta.translations)) return 'meta.translations must be an object';
+    for (const [code, slug] of Object.entries(meta.translations)) {
+      if (!known(code) || typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+        return 'meta.translations must map supported languages to slugs';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the structure of an archive before anything is imported.
+ * @param {Object} archive - The parsed archive.
+ * @returns {string|null} An error message, or null if the archive is importable.
+ */
+function archiveError(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) return `not a ${ARCHIVE_FORMAT} archive`;
+  if (archive.version !== ARCHIVE_VERSION) return `unsupported archive version ${archive.version}`;
+  if (!Array.isArray(archive.books) || !Array.isArray(archive.pieces)) return 'books and pieces must be arrays';
+  const slugs = new Set();
+  for (const [type, works] of [['book', archive.books], ['piece', archive.pieces]]) {
+    for (const [i, work] of works.entries()) {
+      const where = `${type} ${i + 1}`;
+      if (typeof work?.slug !== 'string' || !SLUG_PATTERN.test(work.slug)) return `${where}: invalid slug`;
+      if (slugs.has(work.slug)) return `${where}: duplicate slug "${work.slug}"`;
+      slugs.add(work.slug);
+      if (typeof work.overview !== 'string') return `${where}: overview must be a string`;
+      if (work.meta !== undefined && (!work.meta || typeof work.meta !== 'object' || Array.isArray(work.meta))) {
+        return `${where}: meta must be an object`;
+      }
+      const invalidMeta = metaError(work.meta || {});
+      if (invalidMeta) return `${where}: ${invalidMeta}`;
+      if (type === 'piece') {
+        if (typeof work.content !== 'string' || !work.content) return `${where}: content required`;
+        continue;
+      }
+      if (!Array.isArray(work.outline) || !work.outline.length ||
+        work.outline.some(c => typeof c?.title !== 'string' || typeof c?.synopsis !== 'string')) {
+        return `${where}: outline must be a non-empty array of { title, synopsis }`;
+      }
+      if (!Array.isArray(work.chapters) || work.chapters.length !== work.outline.length ||
+        work.chapters.some(c => typeof c !== 'string')) {
+        return `${where}: chapters must hold one text per outline entry`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decides where an archived work is stored, reserving a new slug if needed.
+ * An overwritten work keeps its revision history; a slug held by a work of the
+ * other type cannot be overwritten that way, so the import is renamed instead.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The archived slug.
+ * @param {string} type - "book" or "piece".
+ * @param {string} onConflict - One of CONFLICT_MODES.
+ * @returns {Promise<Object>} { slug, action }: the target slug (null when skipped)
+ *   and one of "imported", "skipped", "overwritten" or "renamed".
+ */
+async function placeWork(client, slug, type, onConflict) {
+  const [book, piece] = await Promise.all([client.exists(`book-full:${slug}`), client.exists(`content:${slug}`)]);
+  if (!book && !piece) return { slug, action: 'imported' };
+  if (onConflict === 'skip') return { slug: null, action: 'skipped' };
+  if (onConflict === 'overwrite' && (type === 'book' ? !piece : !book)) return { slug, action: 'overwritten' };
+  return { slug: await claimSlug(client, slug, type), action: 'renamed' };
+}
+
+/**
+ * Restores an archive into a workspace. Slugs already in use are skipped,
+ * overwritten or given a numeric suffix, and links between books and their
+ * translations follow renamed slugs.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} archive - The parsed archive (see exportLibrary).
+ * @param {Object} [opts={}] - Import options.
+ * @param {string} [opts.onConflict='skip'] - One of CONFLICT_MODES.
+ * @returns {Promise<Object>} { works } listing { type, slug, storedAs, action } for
+ *   every archived work, or { error } if nothing was imported.
+ */
+async function importLibrary(client, archive, { onConflict = 'skip' } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    return { error: `onConflict must be one of ${CONFLICT_MODES.join(', ')}` };
+  }
+  const error = archiveError(archive);
+  if (error) return { error };
+
+  // Place every book first, so translation links can point at final slugs
+  const placed = [];
+  for (const book of archive.books) placed.push(await placeWork(client, book.slug, 'book', onConflict));
+  const bookSlugs = Object.fromEntries(archive.books.map((b, i) => [b.slug, placed[i].slug || b.slug]));
+  const works = [];
+
+  for (const [i, book] of archive.books.entries()) {
+    const target = placed[i].slug;
+    works.push({ type: 'book', slug: book.slug, storedAs: target, action: placed[i].action });
+    if (!target) continue;
+    const meta = { ...book.meta };
+    if (meta.translationOf) meta.translationOf = { ...meta.translationOf, slug: bookSlugs[meta.translationOf.slug] ?? meta.translationOf.slug };
+    if (meta.translations) {
+      meta.translations = Object.fromEntries(Object.entries(meta.translations).map(([lang, s]) => [lang, bookSlugs[s] ?? s]));
+    }
+    if (placed[i].action === 'overwritten') {
+      // The overwritten book's own translation link goes, unless it is kept
+      const previous = await loadBook(client, target);
+      const from = previous?.meta.translationOf;
+      if (from && (from.slug !== meta.translationOf?.slug || previous.meta.language !== meta.language)) {
+        await updateTranslations(client, from.slug, previous.meta.language, null);
+      }
+    }
+    const { overview, outline, chapters, summaries = [] } = book;
+    await storeBook(client, target, { overview, outline, chapters, summaries, meta }, 'Imported from backup');
+    if (meta.translationOf) await updateTranslations(client, meta.translationOf.slug, meta.language, target);
+  }
+
+  for (const piece of archive.pieces) {
+    const { slug: target, action } = await placeWork(client, piece.slug, 'piece', onConflict);
+    works.push({ type: 'piece', slug: piece.slug, storedAs: target, action });
+    if (!target) continue;
+    await storePiece(client, target, piece.overview, piece.content, { ...piece.meta }, 'Imported from backup');
+  }
+  return { works };
+}
+
+module.exports = {
+  CONFLICT_MODES,
+  exportLibrary,
+  importLibrary,
+};
@@ -0,0 +1,338 @@
+/**
+ * Batch generation from JSONL. Each line of a batch is one brief: a universal
+ * piece (`overview`, or `brief`) or a keyword book (`keywords`, `chapters`),
+ * with the same options as POST /jobs. Lines are validated up front, then run
+ * as ordinary jobs, at most `BATCH_CONCURRENCY` at a time per batch. The batch
+ * record keeps the status, job id and result slug of every line, survives
+ * restarts, and can be downloaded as a results JSONL.
+ * @module batches
+ */
+const crypto = require('crypto');
+const { parseJobRequest, createJob, loadJob, cancelJob, isFinished } = require('./jobs');
+const { scopedClient } = require('./auth');
+
+/* ---------- Batch state ---------- */
+const BATCH_TYPES = ['book', 'piece'];
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 2);
+const BATCH_LINE_LIMIT = Math.max(1, parseInt(process.env.BATCH_LINE_LIMIT, 10) || 200);
+const POLL_MS = 1000;
+
+// Batches currently running in this process, keyed by id. As with jobs, the
+// in-memory object is authoritative while a batch runs.
+const active = new Map();
+
+/**
+ * Builds the Redis key for a batch record.
+ * @param {string} id - The batch id.
+ * @returns {string} The Redis key.
+ */
+function batchKey(id) {
+  return `batch:${id}`;
+}
+
+/**
+ * Loads a batch record from Redis.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} id - The batch id.
+ * @returns {Promise<Object|null>} The batch, or null if it does not exist.
+ */
+async function loadBatch(client, id) {
+  const raw = await client.get(batchKey(id));
+  // The stored record confirms the batch belongs to this client's workspace
+  if (raw && active.has(id)) return active.get(id);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Persists a batch record to Redis.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} batch - The batch to save.
+ * @returns {Promise<Object>} The saved batch.
+ */
+async function saveBatch(client, batch) {
+  batch.updatedAt = new Date().toISOString();
+  await client.set(batchKey(batch.id), JSON.stringify(batch));
+  return batch;
+}
+
+/**
+ * Counts the lines of a batch by status.
+ * @param {Object} batch - The batch record.
+ * @returns {Object} Line counts keyed by status, plus `total`.
+ */
+function countLines(batch) {
+  const counts = { total: batch.lines.length };
+  for (const line of batch.lines) counts[line.status] = (counts[line.status] || 0) + 1;
+  return counts;
+}
+
+/**
+ * Returns the public view of a batch, without the job parameters of its lines.
+ * @param {Object} batch - The batch record.
+ * @returns {Object} The batch summary.
+ */
+function summarizeBatch(batch) {
+  const { lines, ...rest } = batch;
+  return { ...rest, counts: countLines(batch), lines: lines.map(({ params, ...line }) => line) };
+}
+
+/**
+ * Renders the results of a batch as JSONL, one line per brief in input order.
+ * @param {Object} batch - The batch record.
+ * @returns {string} The results JSONL.
+ */
+function batchResults(batch) {
+  return batch.lines.map(line => JSON.stringify({
+    line: line.line,
+    type: line.type,
+    status: line.status,
+    ok: line.status === 'completed',
+    input: line.input,
+    jobId: line.jobId,
+    slug: line.slug,
+    downloads: line.downloads,
+    error: line.error,
+  })).join('\n') + '\n';
+}
+
+/* ---------- Parsing ---------- */
+
+/**
+ * Validates one JSONL line into a batch line.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} text - The line.
+ * @param {number} number - The 1-based line number in the input.
+ * @returns {Promise<Object>} The batch line: "pending" with job parameters, or
+ *   "invalid" with an error.
+ */
+async function parseLine(client, text, number) {
+  const line = { line: number, type: null, status: 'invalid', input: null, jobId: null, slug: null, error: null };
+  let entry;
+  try {
+    entry = JSON.parse(text);
+  } catch {
+    return { ...line, error: 'invalid JSON' };
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { ...line, error: 'each line must be a JSON object' };
+  }
+  const overview = entry.overview ?? entry.brief;
+  const type = entry.type || (entry.keywords ? 'book' : 'piece');
+  line.type = type;
+  line.input = type === 'book' ? entry.keywords ?? null : overview ?? null;
+  if (!BATCH_TYPES.includes(type)) {
+    return { ...line, error: `type must be one of ${BATCH_TYPES.join(', ')}` };
+  }
+  const request = await parseJobRequest(client, { ...entry, type, overview });
+  if (request.error) return { ...line, error: request.error };
+  return { ...line, status: 'pending', params: request.params };
+}
+
+/**
+ * Parses and validates a JSONL batch. Blank lines are skipped; every other
+ * line becomes a batch line, invalid ones included, so the results account
+ * for the whole input.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} text - The JSONL text.
+ * @returns {Promise<Object>} { lines }, or { error } if there is nothing to run.
+ */
+async function parseBatch(client, text) {
+  if (typeof text !== 'string') return { error: 'JSONL text required' };
+  const rows = text.split(/\r?\n/).map((t, i) => [t.trim(), i + 1]).filter(([t]) => t);
+  if (!rows.length) return { error: 'the batch has no briefs' };
+  if (rows.length > BATCH_LINE_LIMIT) return { error: `a batch may hold at most ${BATCH_LINE_LIMIT} briefs` };
+  const lines = [];
+  for (const [t, number] of rows) lines.push(await parseLine(client, t, number));
+  return { lines };
+}
+
+/* ---------- Runner ---------- */
+
+/**
+ * Waits until a job reaches a terminal status, or its batch is cancelled.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} batch - The batch record.
+ * @param {string} id - The job id.
+ * @returns {Promise<Object|null>} The job, or null if its record is gone.
+ */
+async function waitForJob(client, batch, id) {
+  for (;;) {
+    const job = await loadJob(client, id);
+    if (!job || isFinished(job) || batch.status === 'cancelled') return job;
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+}
+
+/**
+ * Runs one line of a batch as a job, or follows the job it already started
+ * before a restart, and records the outcome.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} batch - The batch record.
+ * @param {Object} line - The batch line.
+ * @returns {Promise<void>}
+ */
+async function runLine(client, batch, line) {
+  if (!line.jobId) {
+    const job = await createJob(client, line.type, line.params);
+    line.jobId = job.id;
+    // Recorded at once, so a restart follows this job instead of starting another
+    await saveBatch(client, batch);
+    if (batch.status === 'cancelled') {
+      await cancelJob(client, job.id);
+      return;
+    }
+  }
+  line.status = 'running';
+  await saveBatch(client, batch);
+  const job = await waitForJob(client, batch, line.jobId);
+  if (batch.status === 'cancelled') return;
+  if (!job) {
+    line.status = 'failed';
+    line.error = 'job record not found';
+  } else {
+    line.status = job.status;
+    line.slug = job.slug;
+    line.downloads = job.downloads;
+    line.error = job.error ? job.error.message : null;
+  }
+  await saveBatch(client, batch);
+}
+
+/**
+ * Runs the pending and running lines of a batch, at most BATCH_CONCURRENCY at
+ * a time, then marks the batch completed.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} batch - The batch record.
+ * @returns {Promise<void>}
+ */
+async function runBatch(client, batch) {
+  if (active.has(batch.id)) return;
+  active.set(batch.id, batch);
+  // Lines already running when the process stopped are picked up first
+  const queue = batch.lines.filter(l => l.status === 'running').concat(batch.lines.filter(l => l.status === 'pending'));
+  try {
+    batch.status = 'running';
+    await saveBatch(client, batch);
+    const worker = async () => {
+      while (queue.length && batch.status === 'running') {
+        const line = queue.shift();
+        try {
+          await runLine(client, batch, line);
+        } catch (e) {
+          console.error(`Batch ${batch.id} line ${line.line} crashed:`, e);
+          line.status = 'failed';
+          line.error = e.message;
+          await saveBatch(client, batch).catch(() => {});
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(batch.concurrency, queue.length) }, worker));
+    if (batch.status === 'running') {
+      batch.status = 'completed';
+      await saveBatch(client, batch);
+    }
+  } catch (e) {
+    console.error(`Batch ${batch.id} crashed:`, e);
+    batch.status = 'failed';
+    await saveBatch(client, batch).catch(() => {});
+  } finally {
+    active.delete(batch.id);
+  }
+}
+
+/* ---------- Public API ---------- */
+
+/**
+ * Creates a batch and starts it immediately.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Array<Object>} lines - The batch lines (see parseBatch).
+ * @param {string} source - Where the briefs came from ("upload" or a file path).
+ * @returns {Promise<Object>} The created batch.
+ */
+async function createBatch(client, lines, source) {
+  const now = new Date().toISOString();
+  const batch = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    source,
+    concurrency: BATCH_CONCURRENCY,
+    lines,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await saveBatch(client, batch);
+  runBatch(client, batch);
+  return batch;
+}
+
+/**
+ * Cancels a batch: lines not yet started are cancelled, as are the jobs of
+ * running lines. Finished batches are returned unchanged.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} id - The batch id.
+ * @returns {Promise<Object|null>} The batch, or null if it does not exist.
+ */
+async function cancelBatch(client, id) {
+  const batch = await loadBatch(client, id);
+  if (!batch) return null;
+  if (!['queued', 'running'].includes(batch.status)) return batch;
+  batch.status = 'cancelled';
+  for (const line of batch.lines) {
+    if (!['pending', 'running'].includes(line.status)) continue;
+    // A pending line may already have a job, started just before a restart
+    if (line.jobId) await cancelJob(client, line.jobId);
+    line.status = 'cancelled';
+  }
+  await saveBatch(client, batch);
+  return batch;
+}
+
+/**
+ * Lists the most recently created batches.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {number} [limit=50] - The maximum number of batches.
+ * @returns {Promise<Array<Object>>} Batch summaries without their lines, newest first.
+ */
+async function recentBatches(client, limit = 50) {
+  const keys = await client.keys('batch:*');
+  const batches = await Promise.all(keys.map(k => loadBatch(client, k.slice('batch:'.length))));
+  return batches
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(b => {
+      const { lines, ...rest } = summarizeBatch(b);
+      return rest;
+    });
+}
+
+/**
+ * Restarts every batch left queued or running by a previous process, in every
+ * user workspace. Call after resumeJobs, so the jobs of running lines are
+ * already running again.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @returns {Promise<number>} The number of resumed batches.
+ */
+async function resumeBatches(client) {
+  const keys = [...await client.keys('batch:*'), ...await client.keys('u:*:batch:*')];
+  let resumed = 0;
+  for (const key of keys) {
+    const batch = JSON.parse(await client.get(key));
+    if (!['queued', 'running'].includes(batch.status) || active.has(batch.id)) continue;
+    runBatch(scopedClient(client, key.slice(0, key.indexOf('batch:'))), batch);
+    resumed++;
+  }
+  return resumed;
+}
+
+module.exports = {
+  BATCH_TYPES,
+  parseBatch,
+  createBatch,
+  loadBatch,
+  cancelBatch,
+  recentBatches,
+  resumeBatches,
+  summarizeBatch,
+  batchResults,
+};
@@ -0,0 +1,462 @@
+/**
+ * Assembles generated books and universal pieces and persists them to Redis.
+ * @module books
+ */
+const slugify = require('slugify');
+const { countWords } = require('./utils');
+const { addRevision, listRevisions, loadRevision, revisionKeys, lineDiff } = require('./revisions');
+const { usageKeys } = require('./usage');
+
+/**
+ * Derives the book title from the first outline entry.
+ * @param {Array<Object>} outline - The chapter outline.
+ * @returns {string} The book title.
+ */
+function bookTitle(outline) {
+  return outline[0].title.split(' – ')[0] || 'Untitled Book';
+}
+
+/**
+ * Concatenates the overview and chapters into a single markdown document.
+ * @param {string} overview - The book overview.
+ * @param {Array<Object>} outline - The chapter outline.
+ * @param {Array<string>} chaptersRaw - The generated chapter texts, in outline order.
+ * @returns {string} The full book markdown.
+ */
+function assembleBook(overview, outline, chaptersRaw) {
+  const assembled = [`# ${bookTitle(outline)}\n\n## Overview\n\n${overview}\n\n`];
+  outline.forEach((meta, i) => {
+    assembled.push(`\n---\n\n# Chapter ${i + 1}: ${meta.title}\n\n*${meta.synopsis}*\n\n${chaptersRaw[i]}`);
+  });
+  return assembled.join('\n');
+}
+
+/**
+ * Computes the storage slug for a book: from the title, else from the first
+ * keyword, else "book". Titles in scripts slugify cannot transliterate
+ * (Chinese, Japanese, Korean, Devanagari) slugify to nothing.
+ * @param {Array<Object>} outline - The chapter outline.
+ * @param {string} [keywords] - The source keywords, used when the title yields no slug.
+ * @returns {string} The slug.
+ */
+function bookSlug(outline, keywords) {
+  const slug = text => slugify(text || '', { lower: true, strict: true });
+  return slug(outline[0].title.split(' – ')[0]) || slug((keywords || '').split(',')[0].trim()) || 'book';
+}
+
+/**
+ * Builds the Redis key that reserves a slug for books and pieces alike.
+ * @param {string} slug - The slug.
+ * @returns {string} The Redis key.
+ */
+function slugKey(slug) {
+  return `slug:${slug}`;
+}
+
+/**
+ * Reserves a slug that no stored book or piece uses yet, appending -2, -3, …
+ * to the base slug on collision. The reservation is written with SET NX under
+ * a key shared by both types, so concurrent writers never receive the same
+ * slug; it lasts until the work is deleted, or is released if nothing gets
+ * stored under it.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} base - The slug derived from the title.
+ * @param {string} type - "book" or "piece".
+ * @returns {Promise<string>} The reserved slug.
+ */
+async function claimSlug(client, base, type) {
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const taken = await client.exists([`book-full:${slug}`, `content:${slug}`]);
+    if (!taken && await client.set(slugKey(slug), type, { NX: true })) return slug;
+  }
+}
+
+/**
+ * Releases a slug reserved by claimSlug, unless a book or piece has been
+ * stored under it. Call when the work the slug was claimed for fails.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The reserved slug.
+ * @returns {Promise<boolean>} True if the reservation was released.
+ */
+async function releaseSlug(client, slug) {
+  if (await client.exists([`book-full:${slug}`, `content:${slug}`])) return false;
+  return (await client.del(slugKey(slug))) > 0;
+}
+
+/**
+ * Builds the Redis key of a single stored chapter.
+ * @param {string} slug - The book slug.
+ * @param {number} index - The 1-based chapter number.
+ * @returns {string} The Redis key.
+ */
+function chapterKey(slug, index) {
+  return `book-chapter:${slug}:${index}`;
+}
+
+/**
+ * Writes a book to Redis: overview, outline, each chapter separately, the
+ * continuity summaries, the assembled full text and its metadata record, and
+ * snapshots it as a new revision. The record combines the caller's generation
+ * metadata with the title, chapter and word counts and timestamps; an existing
+ * `createdAt` is kept.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The book slug.
+ * @param {Object} book - The book parts.
+ * @param {string} book.overview - The book overview.
+ * @param {Array<Object>} book.outline - The chapter outline.
+ * @param {Array<string>} book.chapters - The generated chapter texts, in outline order.
+ * @param {Array<string>} [book.summaries=[]] - Continuity summaries of the chapters, if any.
+ * @param {Object} [book.meta={}] - Generation metadata, e.g. the profile and keywords used.
+ * @param {string} [note] - A description of the change, shown in the revision list.
+ * @returns {Promise<string>} The assembled book markdown.
+ */
+async function storeBook(client, slug, { overview, outline, chapters, summaries = [], meta = {} }, note) {
+  const fullBook = assembleBook(overview, outline, chapters);
+  const now = new Date().toISOString();
+  const record = {
+    ...meta,
+    type: 'book',
+    slug,
+    title: bookTitle(outline),
+    chapters: outline.length,
+    words: countWords(fullBook),
+    createdAt: meta.createdAt || now,
+    updatedAt: now,
+  };
+  await client.set(`book-overview:${slug}`, overview);
+  await client.set(`book-outline:${slug}`, JSON.stringify(outline));
+  for (let i = 0; i < outline.length; i++) {
+    await client.set(chapterKey(slug, i + 1), chapters[i]);
+  }
+  // Chapter keys past the outline's length, left by a longer earlier version
+  const stale = (await client.keys(`book-chapter:${slug}:*`)).filter(k => Number(k.split(':').pop()) > outline.length);
+  if (stale.length) await client.del(stale);
+  await client.set(`book-summaries:${slug}`, JSON.stringify(summaries));
+  await client.set(`book-full:${slug}`, fullBook);
+  await client.set(`book-meta:${slug}`, JSON.stringify(record));
+  await addRevision(client, 'book', slug, { overview, outline, chapters, summaries, meta: record }, { note, words: record.words });
+  return fullBook;
+}
+
+/**
+ * Recovers the chapter texts from an assembled book, for books stored before
+ * chapters were kept separately.
+ * @param {string} fullBook - The assembled book markdown.
+ * @param {Array<Object>} outline - The chapter outline.
+ * @returns {Array<string>|null} The chapter texts, or null if the layout does not match.
+ */
+function splitAssembledBook(fullBook, outline) {
+  const headers = outline.map((meta, i) => `\n---\n\n# Chapter ${i + 1}: ${meta.title}\n\n*${meta.synopsis}*\n\n`);
+  const starts = [];
+  let from = 0;
+  for (const header of headers) {
+    const at = fullBook.indexOf(header, from);
+    if (at === -1) return null;
+    starts.push(at);
+    from = at + header.length;
+  }
+  // assembleBook joins its parts with '\n', so each chapter but the last is followed by one
+  return starts.map((at, i) => fullBook.slice(at + headers[i].length, i + 1 < starts.length ? starts[i + 1] - 1 : fullBook.length));
+}
+
+/**
+ * Loads a stored book with its chapters.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The book slug.
+ * @returns {Promise<Object|null>} { overview, outline, chapters, summaries, meta }, or null
+ *   if the book does not exist or its chapters cannot be recovered.
+ */
+async function loadBook(client, slug) {
+  const [overview, rawOutline, rawSummaries, rawMeta] = await Promise.all([
+    client.get(`book-overview:${slug}`),
+    client.get(`book-outline:${slug}`),
+    client.get(`book-summaries:${slug}`),
+    client.get(`book-meta:${slug}`),
+  ]);
+  if (!overview || !rawOutline) return null;
+  const outline = JSON.parse(rawOutline);
+
+  let chapters = await Promise.all(outline.map((_, i) => client.get(chapterKey(slug, i + 1))));
+  if (chapters.some(c => c === null)) {
+    const fullBook = await client.get(`book-full:${slug}`);
+    chapters = fullBook && splitAssembledBook(fullBook, outline);
+    if (!chapters) return null;
+  }
+  return {
+    overview,
+    outline,
+    chapters,
+    summaries: rawSummaries ? JSON.parse(rawSummaries) : [],
+    meta: rawMeta ? JSON.parse(rawMeta) : {},
+  };
+}
+
+/**
+ * Replaces one chapter of a stored book and rebuilds its full text in place.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The book slug.
+ * @param {Object} book - The book as returned by loadBook.
+ * @param {number} index - The 1-based chapter number.
+ * @param {string} content - The new chapter text.
+ * @param {string} [summary] - The new continuity summary of the chapter.
+ * @returns {Promise<string>} The rebuilt book markdown.
+ */
+async function replaceChapter(client, slug, book, index, content, summary) {
+  const chapters = [...book.chapters];
+  const summaries = [...book.summaries];
+  chapters[index - 1] = content;
+  if (summary) summaries[index - 1] = summary;
+  return storeBook(client, slug, { ...book, chapters, summaries }, `Regenerated chapter ${index}`);
+}
+
+/**
+ * Records or removes the link from a book to one of its translations. Only the
+ * metadata record changes, so no revision is added.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The original book's slug.
+ * @param {string} language - The translation's language code.
+ * @param {string|null} translationSlug - The translation's slug, or null to remove the link.
+ */
+async function updateTranslations(client, slug, language, translationSlug) {
+  const raw = await client.get(`book-meta:${slug}`);
+  if (!raw) return;
+  const meta = JSON.parse(raw);
+  const translations = { ...meta.translations };
+  if (translationSlug) translations[language] = translationSlug;
+  else delete translations[language];
+  meta.translations = translations;
+  await client.set(`book-meta:${slug}`, JSON.stringify(meta));
+}
+
+/**
+ * Deletes every key of a stored book.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The book slug.
+ * @returns {Promise<number>} The number of keys removed.
+ */
+async function deleteBook(client, slug) {
+  const meta = JSON.parse(await client.get(`book-meta:${slug}`) || '{}');
+  if (meta.translationOf) await updateTranslations(client, meta.translationOf.slug, meta.language, null);
+  const keys = [
+    `book-overview:${slug}`,
+    `book-outline:${slug}`,
+    `book-summaries:${slug}`,
+    `book-full:${slug}`,
+    `book-meta:${slug}`,
+    slugKey(slug),
+    ...(await client.keys(`book-chapter:${slug}:*`)),
+    ...(await revisionKeys(client, 'book', slug)),
+    // A later work reusing the slug starts its usage totals afresh
+    ...usageKeys('book', slug),
+  ];
+  return client.del(keys);
+}
+
+/**
+ * Lists the download links for a stored book.
+ * @param {string} slug - The book slug.
+ * @returns {Array<Object>} Objects with label and href properties.
+ */
+function bookDownloads(slug) {
+  return [
+    { label: 'Read online', href: `/books/${slug}` },
+    { label: `Full book (${slug}.md)`, href: `/download/${slug}.md` },
+    { label: `Single-page HTML (${slug}.html)`, href: `/download/${slug}.html` },
+    { label: `E-book (${slug}.epub)`, href: `/download/${slug}.epub` },
+    { label: `Manuscript (${slug}.docx)`, href: `/download/${slug}.docx` },
+    { label: `LaTeX source (${slug}.tex)`, href: `/download/${slug}.tex` },
+    { label: 'Overview only', href: `/download/${slug}-overview.md` },
+    { label: 'Raw outline (JSON)', href: `/download/${slug}-outline.json` },
+  ];
+}
+
+/**
+ * Derives the display title of a universal piece from its brief: the `Title:`
+ * line if there is one, otherwise the first non-empty line.
+ * @param {string} overview - The user-supplied brief.
+ * @returns {string} The title.
+ */
+function pieceTitle(overview) {
+  const lines = overview.split('\n').map(l => l.trim()).filter(Boolean);
+  const titled = lines.find(l => l.toLowerCase().startsWith('title:'));
+  return (titled ? titled.slice(6).trim() : lines[0] || 'Untitled').slice(0, 120);
+}
+
+/**
+ * Computes the storage slug for a universal piece from its title (see pieceTitle).
+ * @param {string} overview - The user-supplied brief.
+ * @returns {string} The slug.
+ */
+function pieceSlug(overview) {
+  return slugify(pieceTitle(overview), { lower: true, strict: true }).slice(0, 60).replace(/-+$/, '') || 'content';
+}
+
+/**
+ * Writes a universal piece, its brief and its metadata record to Redis, and
+ * snapshots it as a new revision.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The piece slug.
+ * @param {string} overview - The user-supplied brief.
+ * @param {string} content - The generated text.
+ * @param {Object} [meta={}] - Generation metadata, e.g. the profile used.
+ * @param {string} [note] - A description of the change, shown in the revision list.
+ */
+async function storePiece(client, slug, overview, content, meta = {}, note) {
+  const now = new Date().toISOString();
+  const record = {
+    ...meta,
+    type: 'piece',
+    slug,
+    title: pieceTitle(overview),
+    words: countWords(content),
+    createdAt: meta.createdAt || now,
+    updatedAt: now,
+  };
+  await client.set(`overview:${slug}`, overview);
+  await client.set(`content:${slug}`, content);
+  await client.set(`content-meta:${slug}`, JSON.stringify(record));
+  await addRevision(client, 'content', slug, { overview, content, meta: record }, { note, words: record.words });
+}
+
+/**
+ * Deletes every key of a stored universal piece.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The piece slug.
+ * @returns {Promise<number>} The number of keys removed.
+ */
+async function deletePiece(client, slug) {
+  return client.del([
+    `overview:${slug}`,
+    `content:${slug}`,
+    `content-meta:${slug}`,
+    slugKey(slug),
+    ...(await revisionKeys(client, 'content', slug)),
+    ...usageKeys('book', slug),
+  ]);
+}
+
+/**
+ * Lists the download links for a stored universal piece.
+ * @param {string} slug - The piece slug.
+ * @returns {Array<Object>} Objects with label and href properties.
+ */
+function pieceDownloads(slug) {
+  return [
+    { label: 'Read online', href: `/pieces/${slug}` },
+    { label: `Download ${slug}.md`, href: `/download/${slug}.md` },
+  ];
+}
+
+/* ---------- Revisions ---------- */
+
+/**
+ * Maps a work type to the key prefix of its revision history.
+ * @param {string} type - "book" or "piece".
+ * @returns {string} "book" or "content".
+ */
+function revisionKind(type) {
+  return type === 'book' ? 'book' : 'content';
+}
+
+/**
+ * Lists the revisions of a stored work, oldest first.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} type - "book" or "piece".
+ * @param {string} slug - The work slug.
+ * @returns {Promise<Array<Object>>} Entries with rev, createdAt, note and words.
+ */
+async function workRevisions(client, type, slug) {
+  return listRevisions(client, revisionKind(type), slug);
+}
+
+/**
+ * Loads one revision of a stored work.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} type - "book" or "piece".
+ * @param {string} slug - The work slug.
+ * @param {number} rev - The revision number.
+ * @returns {Promise<Object|null>} The snapshot, or null if it does not exist.
+ */
+async function getRevision(client, type, slug, rev) {
+  return loadRevision(client, revisionKind(type), slug, rev);
+}
+
+/**
+ * Renders a revision snapshot as the markdown text that was downloadable at
+ * the time, for diffing.
+ * @param {string} type - "book" or "piece".
+ * @param {Object} snapshot - The revision snapshot.
+ * @returns {string} The markdown.
+ */
+function revisionText(type, snapshot) {
+  return type === 'book'
+    ? assembleBook(snapshot.overview, snapshot.outline, snapshot.chapters)
+    : snapshot.content;
+}
+
+/**
+ * Computes the line diff of a work's markdown between two revisions.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} type - "book" or "piece".
+ * @param {string} slug - The work slug.
+ * @param {number} from - The older revision number.
+ * @param {number} to - The newer revision number.
+ * @returns {Promise<Array<Object>|null>} The diff operations (see lineDiff), or
+ *   null if either revision does not exist.
+ */
+async function diffRevisions(client, type, slug, from, to) {
+  const [before, after] = await Promise.all([
+    getRevision(client, type, slug, from),
+    getRevision(client, type, slug, to),
+  ]);
+  if (!before || !after) return null;
+  return lineDiff(revisionText(type, before), revisionText(type, after));
+}
+
+/**
+ * Writes an older revision back as the current state of a work. The restore
+ * is itself recorded as a new revision, so it can be undone.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} type - "book" or "piece".
+ * @param {string} slug - The work slug.
+ * @param {number} rev - The revision number to restore.
+ * @returns {Promise<boolean>} False if the revision does not exist.
+ */
+async function restoreRevision(client, type, slug, rev) {
+  const snapshot = await getRevision(client, type, slug, rev);
+  if (!snapshot) return false;
+  const note = `Restored revision ${rev}`;
+  if (type === 'book') {
+    // Translations made since the snapshot stay linked
+    const current = await loadBook(client, slug);
+    const meta = { ...snapshot.meta, translations: current?.meta.translations };
+    await storeBook(client, slug, { ...snapshot, meta }, note);
+  } else {
+    await storePiece(client, slug, snapshot.overview, snapshot.content, snapshot.meta, note);
+  }
+  return true;
+}
+
+module.exports = {
+  bookTitle,
+  assembleBook,
+  bookSlug,
+  claimSlug,
+  releaseSlug,
+  storeBook,
+  loadBook,
+  replaceChapter,
+  deleteBook,
+  updateTranslations,
+  bookDownloads,
+  pieceSlug,
+  pieceTitle,
+  storePiece,
+  deletePiece,
+  pieceDownloads,
+  workRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
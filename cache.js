@@ -0,0 +1,102 @@
+/**
+ * Content-addressed cache of LLM completions. A completion is stored under
+ * `completion-cache:<sha256>`, hashed from the provider, model, messages and
+ * sampling parameters of the request, for `COMPLETION_CACHE_TTL` seconds
+ * (a day by default; 0 disables the cache). Identical requests made while
+ * one is in flight share its upstream call instead of sending their own.
+ * Hits, misses and shared calls are counted for the usage page.
+ * @module cache
+ */
+const crypto = require('crypto');
+
+const TTL = Math.max(0, parseInt(process.env.COMPLETION_CACHE_TTL ?? '86400', 10) || 0);
+const CACHE_EVENTS = ['hits', 'misses', 'shared'];
+
+// Upstream calls in progress, keyed by request hash
+const inFlight = new Map();
+
+/**
+ * Hashes a completion request.
+ * @param {Object} request - Everything that determines the completion: provider,
+ *   model, messages and sampling parameters.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function requestHash(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Loads a cached completion.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} hash - The request hash.
+ * @returns {Promise<Object|null>} { content, finishReason, usage }, or null on a miss.
+ */
+async function getCachedCompletion(client, hash) {
+  if (!TTL) return null;
+  const raw = await client.get(`completion-cache:${hash}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Stores a completion in the cache.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} hash - The request hash.
+ * @param {Object} result - The completion: { content, finishReason, usage }.
+ * @returns {Promise<void>}
+ */
+async function cacheCompletion(client, hash, { content, finishReason, usage }) {
+  if (!TTL) return;
+  await client.set(`completion-cache:${hash}`, JSON.stringify({ content, finishReason, usage }), { EX: TTL });
+}
+
+/**
+ * Runs an upstream call unless an identical one is already in flight, in
+ * which case its result is awaited instead.
+ * @param {string} hash - The request hash.
+ * @param {Function} call - Starts the upstream call and returns a promise.
+ * @returns {Promise<Object>} { result, shared }: the call's result and whether
+ *   it came from another caller's request.
+ */
+async function dedupe(hash, call) {
+  if (inFlight.has(hash)) return { result: await inFlight.get(hash), shared: true };
+  const pending = call();
+  inFlight.set(hash, pending);
+  try {
+    return { result: await pending, shared: false };
+  } finally {
+    inFlight.delete(hash);
+  }
+}
+
+/**
+ * Counts a cache event.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} event - One of CACHE_EVENTS.
+ * @returns {Promise<void>}
+ */
+async function countCacheEvent(client, event) {
+  await client.incrBy(`completion-cache:stats:${event}`, 1);
+}
+
+/**
+ * Reads the cache counters.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @returns {Promise<Object>} { enabled, ttl, hits, misses, shared }.
+ */
+async function cacheStats(client) {
+  const counts = await Promise.all(CACHE_EVENTS.map(e => client.get(`completion-cache:stats:${e}`)));
+  return {
+    enabled: TTL > 0,
+    ttl: TTL,
+    ...Object.fromEntries(CACHE_EVENTS.map((e, i) => [e, parseInt(counts[i], 10) || 0])),
+  };
+}
+
+module.exports = {
+  requestHash,
+  getCachedCompletion,
+  cacheCompletion,
+  dedupe,
+  countCacheEvent,
+  cacheStats,
+};
@@ -0,0 +1,422 @@
+/**
+ * Command-line generator for scripts and cron jobs. It runs the same
+ * generators as the web app and writes the results to local files.
+ *
+ *   node cli.js book --keywords "fungi, food" --chapters 8 [--format md,epub] [--out ./out] [--store]
+ *   node cli.js piece --brief brief.md [--out ./out] [--store]
+ *   node cli.js export <slug> [--format epub] [--out ./out]
+ *
+ * Generation options: --profile, --continuity (books), --target-words,
+ * --language, --genre, --audience, --reading-level, --tone, --point-of-view,
+ * --code-blocks and --no-cache. Progress goes to stderr; the paths of the
+ * written files go to stdout.
+ *
+ * Without `--store` Redis is not used at all: the built-in prompt templates
+ * apply and the completion cache is off. With `--store` (and for `export`)
+ * the CLI connects to `REDIS_URL` and stores works in the administrator's
+ * workspace, exactly as the HTTP routes do.
+ * @module cli
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  client,
+  connectRedis,
+  generateContent,
+  generateBookOverview,
+  generateChapterOutline,
+  generateChapter,
+  summarizeChapter,
+} = require('./services');
+const {
+  assembleBook,
+  bookSlug,
+  claimSlug,
+  releaseSlug,
+  storeBook,
+  loadBook,
+  pieceSlug,
+  storePiece,
+} = require('./books');
+const { buildBookPage } = require('./htmlBuilders');
+const { buildEpub } = require('./epub');
+const { buildLatex } = require('./latex');
+const { buildDocx } = require('./docx');
+const { getProfile, profileNames } = require('./profiles');
+const { emptyUsage, addUsage, recordUsage } = require('./usage');
+const { resolveTemplates } = require('./templates');
+const { parseStyle } = require('./style');
+const { parseLanguage } = require('./languages');
+const { countWords } = require('./utils');
+
+const OPTIONS = {
+  keywords: { type: 'string' },
+  chapters: { type: 'string', default: '8' },
+  continuity: { type: 'string', default: 'independent' },
+  brief: { type: 'string' },
+  overview: { type: 'string' },
+  profile: { type: 'string' },
+  'target-words': { type: 'string' },
+  language: { type: 'string' },
+  genre: { type: 'string' },
+  audience: { type: 'string' },
+  'reading-level': { type: 'string' },
+  tone: { type: 'string' },
+  'point-of-view': { type: 'string' },
+  'code-blocks': { type: 'string' },
+  format: { type: 'string', default: 'md' },
+  out: { type: 'string', default: '.' },
+  store: { type: 'boolean', default: false },
+  'no-cache': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const USAGE = `Usage:
+  node cli.js book --keywords "fungi, food" [--chapters 8] [--continuity independent|sequential]
+  node cli.js piece (--brief brief.md | --overview "text")
+  node cli.js export <slug>
+
+Options:
+  --format md,html,epub,docx,tex,json   Output formats for books (default md)
+  --out DIR                             Output directory (default .)
+  --store                               Also store the work in Redis
+  --profile NAME                        Generation profile (${profileNames().join(', ')})
+  --target-words N, --language CODE, --genre, --audience, --reading-level,
+  --tone, --point-of-view, --code-blocks, --no-cache`;
+
+// Stands in for Redis when nothing is stored: no custom templates, no usage records
+const offlineStore = {
+  get: async () => null,
+  set: async () => 'OK',
+  del: async () => 0,
+  exists: async () => 0,
+  keys: async () => [],
+  incrBy: async () => 0,
+  incrByFloat: async () => '0',
+};
+
+/**
+ * Writers for the book output formats, keyed by format name.
+ */
+const BOOK_FORMATS = {
+  md: (slug, book) => assembleBook(book.overview, book.outline, book.chapters),
+  html: (slug, book) => buildBookPage(slug, book, { standalone: true }),
+  epub: (slug, book) => buildEpub(slug, book),
+  docx: (slug, book) => buildDocx(book),
+  tex: (slug, book) => buildLatex(book),
+  json: (slug, book) => JSON.stringify({ slug, ...book }, null, 2),
+};
+
+/**
+ * Reports an invalid invocation and exits.
+ * @param {string} message - What is wrong.
+ */
+function usageError(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+/**
+ * Writes a progress line to stderr.
+ * @param {string} message - The message.
+ */
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+/**
+ * Builds generator options that report retries, continuation passes and (on
+ * a terminal) a live word count for one step.
+ * @param {Object} base - The shared generator options.
+ * @param {string} label - The step shown in progress lines.
+ * @returns {Object} The generator options.
+ */
+function stepOptions(base, label) {
+  let text = '';
+  const opts = {
+    ...base,
+    onRetry: (attempt, maxRetries, err) => log(`  ${label}: attempt ${attempt}/${maxRetries} failed (${err.message}), retrying`),
+    onContinue: (pass, { reason, words }) => log(`  ${label}: continuing (pass ${pass}, ${reason}, ${words} words so far)`),
+  };
+  if (process.stderr.isTTY) {
+    opts.onToken = delta => {
+      text += delta;
+      process.stderr.write(`\r  ${label}: ${countWords(text)} words`);
+    };
+  }
+  return opts;
+}
+
+/**
+ * Ends a step's progress line.
+ * @param {string} label - The step.
+ * @param {string} result - The outcome.
+ */
+function done(label, result) {
+  if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+  log(`✓ ${label}: ${result}`);
+}
+
+/**
+ * Validates the generation options shared by books and pieces.
+ * @param {Object} values - The parsed command-line options.
+ * @returns {Object} Generator options: profile, targetWords, style, language, noCache.
+ */
+function generationOptions(values) {
+  if (values.profile && !getProfile(values.profile)) {
+    usageError(`Unknown profile "${values.profile}".`);
+  }
+  let targetWords;
+  if (values['target-words'] !== undefined) {
+    targetWords = parseInt(values['target-words'], 10);
+    if (!(targetWords >= 0)) usageError('--target-words must be a non-negative integer.');
+  }
+  const style = parseStyle({
+    genre: values.genre,
+    audience: values.audience,
+    readingLevel: values['reading-level'],
+    tone: values.tone,
+    pointOfView: values['point-of-view'],
+    codeBlocks: values['code-blocks'],
+  });
+  if (style.error) usageError(`${style.error}.`);
+  const language = parseLanguage(values.language);
+  if (language.error) usageError(`${language.error}.`);
+  return {
+    profile: values.profile,
+    targetWords,
+    style: style.style,
+    language: language.language,
+    noCache: values['no-cache'],
+  };
+}
+
+/**
+ * Writes one output file.
+ * @param {string} dir - The output directory.
+ * @param {string} name - The file name.
+ * @param {string|Buffer} content - The file content.
+ */
+function writeOutput(dir, name, content) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  console.log(file);
+}
+
+/**
+ * Parses the --format list for books.
+ * @param {string} value - Comma-separated format names.
+ * @returns {Array<string>} The formats.
+ */
+function bookFormats(value) {
+  const formats = value.split(',').map(f => f.trim()).filter(Boolean);
+  const unknown = formats.find(f => !BOOK_FORMATS[f]);
+  if (unknown || !formats.length) usageError(`--format must list ${Object.keys(BOOK_FORMATS).join(', ')}.`);
+  return formats;
+}
+
+/* ---------- Commands ---------- */
+
+/**
+ * Generates a book from keywords: overview, outline, then each chapter.
+ * @param {Object} values - The parsed command-line options.
+ * @param {RedisClientType} store - Redis, or the offline store.
+ * @returns {Promise<boolean>} False if generation failed.
+ */
+async function bookCommand(values, store) {
+  const { keywords } = values;
+  if (!keywords) usageError('book needs --keywords.');
+  const chapterCount = parseInt(values.chapters, 10);
+  if (!(chapterCount >= 3 && chapterCount <= 15)) usageError('--chapters must be 3-15.');
+  if (!['independent', 'sequential'].includes(values.continuity)) {
+    usageError('--continuity must be independent or sequential.');
+  }
+  const formats = bookFormats(values.format);
+  const usage = emptyUsage();
+  const templates = await resolveTemplates(store, {});
+  const base = {
+    ...generationOptions(values),
+    client: store,
+    templates: templates.refs,
+    onUsage: u => addUsage(usage, u),
+  };
+
+  const overview = await generateBookOverview(keywords, stepOptions(base, 'Overview'));
+  if (!overview) {
+    log('✗ Overview generation failed');
+    return false;
+  }
+  done('Overview', `${countWords(overview)} words`);
+
+  let invalid = [];
+  const outline = await generateChapterOutline(overview, chapterCount, {
+    ...stepOptions(base, 'Outline'),
+    onInvalid: (_attempt, errors) => { invalid = errors; },
+  });
+  if (!outline) {
+    log(['✗ Outline generation failed', ...invalid].join(' '));
+    return false;
+  }
+  done('Outline', outline.map((c, i) => `\n    ${i + 1}. ${c.title}`).join(''));
+
+  const sequential = values.continuity === 'sequential';
+  const chapters = [];
+  const summaries = [];
+  for (let i = 0; i < outline.length; i++) {
+    const label = `Chapter ${i + 1}/${outline.length}`;
+    const opts = stepOptions(base, label);
+    if (sequential) Object.assign(opts, { outline, previousSummaries: summaries });
+    const content = await generateChapter(overview, outline[i], i + 1, outline.length, opts);
+    if (!content) {
+      log(`✗ ${label} generation failed`);
+      return false;
+    }
+    chapters.push(content);
+    done(label, `${outline[i].title} (${countWords(content)} words)`);
+    if (sequential) {
+      summaries.push(await summarizeChapter(content, outline[i], i + 1, base) || outline[i].synopsis);
+    }
+  }
+
+  const meta = {
+    profile: getProfile(values.profile),
+    continuity: values.continuity,
+    keywords,
+    templates: templates.refs,
+    style: base.style,
+    language: base.language,
+  };
+  let slug = bookSlug(outline, keywords);
+  if (values.store) {
+    slug = await claimSlug(store, slug, 'book');
+    try {
+      await storeBook(store, slug, { overview, outline, chapters, summaries, meta }, 'Generated from the CLI');
+    } catch (e) {
+      await releaseSlug(store, slug);
+      throw e;
+    }
+    await recordUsage(store, 'book', slug, usage);
+    log(`✓ Stored as book "${slug}"`);
+  }
+  const book = { overview, outline, chapters, summaries, meta };
+  for (const format of formats) {
+    writeOutput(values.out, `${slug}.${format}`, BOOK_FORMATS[format](slug, book));
+  }
+  log(`  ${usage.totalTokens} tokens, $${usage.cost.toFixed(4)}`);
+  return true;
+}
+
+/**
+ * Generates a universal piece from a brief.
+ * @param {Object} values - The parsed command-line options.
+ * @param {RedisClientType} store - Redis, or the offline store.
+ * @returns {Promise<boolean>} False if generation failed.
+ */
+async function pieceCommand(values, store) {
+  const overview = values.brief ? fs.readFileSync(values.brief, 'utf8') : values.overview;
+  if (!overview || !overview.trim()) usageError('piece needs --brief FILE or --overview TEXT.');
+  const usage = emptyUsage();
+  const templates = await resolveTemplates(store, {});
+  const base = {
+    ...generationOptions(values),
+    client: store,
+    templates: templates.refs,
+    onUsage: u => addUsage(usage, u),
+  };
+
+  const content = await generateContent(overview, stepOptions(base, 'Piece'));
+  if (!content) {
+    log('✗ Generation failed');
+    return false;
+  }
+  done('Piece', `${countWords(content)} words`);
+
+  let slug = pieceSlug(overview);
+  if (values.store) {
+    slug = await claimSlug(store, slug, 'piece');
+    try {
+      await storePiece(store, slug, overview, content, {
+        profile: getProfile(values.profile),
+        templates: { content: templates.refs.content },
+        style: base.style,
+        language: base.language,
+      }, 'Generated from the CLI');
+    } catch (e) {
+      await releaseSlug(store, slug);
+      throw e;
+    }
+    await recordUsage(store, 'book', slug, usage);
+    log(`✓ Stored as piece "${slug}"`);
+  }
+  writeOutput(values.out, `${slug}.md`, content);
+  log(`  ${usage.totalTokens} tokens, $${usage.cost.toFixed(4)}`);
+  return true;
+}
+
+/**
+ * Writes a stored book (or universal piece, as markdown) to local files.
+ * @param {string} slug - The slug.
+ * @param {Object} values - The parsed command-line options.
+ * @param {RedisClientType} store - Redis.
+ * @returns {Promise<boolean>} False if nothing is stored under the slug.
+ */
+async function exportCommand(slug, values, store) {
+  if (!slug) usageError('export needs a slug.');
+  const formats = bookFormats(values.format);
+  const book = await loadBook(store, slug);
+  if (book) {
+    for (const format of formats) {
+      writeOutput(values.out, `${slug}.${format}`, BOOK_FORMATS[format](slug, book));
+    }
+    return true;
+  }
+  const content = await store.get(`content:${slug}`);
+  if (!content) {
+    log(`✗ Nothing stored under "${slug}"`);
+    return false;
+  }
+  if (formats.some(f => f !== 'md')) log('  Pieces are only exported as markdown');
+  writeOutput(values.out, `${slug}.md`, content);
+  return true;
+}
+
+/**
+ * Runs the command given on the command line.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    usageError(e.message);
+  }
+  const { values, positionals: [command, ...rest] } = parsed;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!['book', 'piece', 'export'].includes(command)) usageError(`Unknown command "${command}".`);
+
+  const needsRedis = values.store || command === 'export';
+  if (needsRedis) await connectRedis();
+  const store = needsRedis ? client : offlineStore;
+  try {
+    const ok = command === 'book' ? await bookCommand(values, store)
+      : command === 'piece' ? await pieceCommand(values, store)
+      : await exportCommand(rest[0], values, store);
+    return ok ? 0 : 1;
+  } finally {
+    if (needsRedis) await client.quit();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,216 @@
+/**
+ * DOCX (Office Open XML) manuscript export of stored books. Headings use the
+ * built-in Heading styles, so Word's navigation pane and table of contents
+ * pick them up, and every chapter starts on a new page.
+ * @module docx
+ */
+const { createZip } = require('./zip');
+const { lexMarkdown } = require('./markdown');
+const { bookTitle } = require('./books');
+const { escapeHtml } = require('./utils');
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+/**
+ * Declares a paragraph style.
+ * @param {string} id - The style id.
+ * @param {string} name - The display name.
+ * @param {string} pPr - Paragraph properties XML.
+ * @param {string} rPr - Run properties XML.
+ * @returns {string} The style XML.
+ */
+function paragraphStyle(id, name, pPr, rPr) {
+  return `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr>${pPr}</w:pPr><w:rPr>${rPr}</w:rPr></w:style>`;
+}
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NS}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  ${paragraphStyle('Title', 'Title', '<w:spacing w:before="2400" w:after="480"/><w:jc w:val="center"/>', '<w:b/><w:sz w:val="56"/>')}
+  ${paragraphStyle('Heading1', 'heading 1', '<w:keepNext/><w:spacing w:before="480" w:after="240"/><w:outlineLvl w:val="0"/>', '<w:b/><w:sz w:val="36"/>')}
+  ${paragraphStyle('Heading2', 'heading 2', '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="1"/>', '<w:b/><w:sz w:val="30"/>')}
+  ${paragraphStyle('Heading3', 'heading 3', '<w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="2"/>', '<w:b/><w:sz w:val="26"/>')}
+  ${paragraphStyle('Synopsis', 'Synopsis', '<w:spacing w:after="360"/>', '<w:i/><w:color w:val="555555"/>')}
+  ${paragraphStyle('Quote', 'Quote', '<w:ind w:left="720" w:right="720"/>', '<w:i/>')}
+  ${paragraphStyle('ListParagraph', 'List Paragraph', '<w:spacing w:after="60"/><w:ind w:left="720" w:hanging="360"/>', '')}
+  ${paragraphStyle('Code', 'Code', '<w:shd w:val="clear" w:color="auto" w:fill="F4F4F4"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/>', '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="20"/>')}
+</w:styles>`;
+
+/**
+ * Builds a text run.
+ * @param {string} text - The run text.
+ * @param {Object} [fmt={}] - Formatting flags: bold, italic, strike, code.
+ * @returns {string} The run XML.
+ */
+function run(text, fmt = {}) {
+  // Run properties must appear in schema order
+  const props = [
+    fmt.code && '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>',
+    fmt.bold && '<w:b/>',
+    fmt.italic && '<w:i/>',
+    fmt.strike && '<w:strike/>',
+  ].filter(Boolean).join('');
+  return text
+    .split('\n')
+    .map(line => `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeHtml(line)}</w:t></w:r>`)
+    .join('<w:r><w:br/></w:r>');
+}
+
+/**
+ * Builds a paragraph.
+ * @param {string} runs - The run XML.
+ * @param {string} [style] - The paragraph style id.
+ * @param {string} [extra=''] - Additional paragraph properties, in schema order.
+ * @returns {string} The paragraph XML.
+ */
+function paragraph(runs, style, extra = '') {
+  const pPr = `${style ? `<w:pStyle w:val="${style}"/>` : ''}${extra}`;
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+/**
+ * Renders inline markdown tokens as runs.
+ * @param {Array<Object>} tokens - The inline tokens.
+ * @param {Object} [fmt={}] - The formatting inherited from enclosing tokens.
+ * @returns {string} The run XML.
+ */
+function renderInline(tokens = [], fmt = {}) {
+  return tokens.map(t => {
+    switch (t.type) {
+      case 'strong':
+        return renderInline(t.tokens, { ...fmt, bold: true });
+      case 'em':
+        return renderInline(t.tokens, { ...fmt, italic: true });
+      case 'del':
+        return renderInline(t.tokens, { ...fmt, strike: true });
+      case 'codespan':
+        return run(t.text, { ...fmt, code: true });
+      case 'link':
+        return renderInline(t.tokens, fmt);
+      case 'br':
+        return '<w:r><w:br/></w:r>';
+      case 'text':
+        return t.tokens ? renderInline(t.tokens, fmt) : run(t.text, fmt);
+      default:
+        return run(t.text || t.raw || '', fmt);
+    }
+  }).join('');
+}
+
+/**
+ * Renders block markdown tokens as paragraphs. Markdown headings inside a
+ * chapter start at Heading 2, since Heading 1 is reserved for chapter titles.
+ * @param {Array<Object>} tokens - The block tokens.
+ * @param {string} [style] - The paragraph style for body text, e.g. inside a quote.
+ * @returns {string} The paragraph XML.
+ */
+function renderBlocks(tokens, style) {
+  return tokens.map(t => {
+    switch (t.type) {
+      case 'heading':
+        return paragraph(renderInline(t.tokens), `Heading${Math.min(t.depth + 1, 3)}`);
+      case 'paragraph':
+        return paragraph(renderInline(t.tokens), style);
+      case 'code':
+        return paragraph(run(t.text), 'Code', '<w:spacing w:after="200"/>');
+      case 'blockquote':
+        return renderBlocks(t.tokens, 'Quote');
+      case 'list':
+        return t.items.map((item, i) => {
+          const marker = t.ordered ? `${(t.start || 1) + i}.` : '•';
+          const body = item.tokens
+            .map(b => (b.tokens && b.type !== 'list' ? renderInline(b.tokens) : b.type === 'text' ? run(b.text) : ''))
+            .join('');
+          const nested = item.tokens.filter(b => b.type === 'list');
+          return paragraph(`${run(`${marker}\t`)}${body}`, 'ListParagraph') + renderBlocks(nested, style);
+        }).join('');
+      case 'table':
+        return paragraph(run(t.raw.trim()), 'Code', '<w:spacing w:after="200"/>');
+      case 'hr':
+        return paragraph(run('*'), style, '<w:jc w:val="center"/>');
+      case 'text':
+        return paragraph(t.tokens ? renderInline(t.tokens) : run(t.text), style);
+      case 'space':
+        return '';
+      default:
+        return paragraph(run(t.raw || ''), style);
+    }
+  }).join('\n');
+}
+
+/**
+ * Builds a DOCX manuscript of a stored book: a title page, the overview, then
+ * each chapter on a new page with its synopsis.
+ * @param {Object} book - The book as returned by loadBook.
+ * @returns {Buffer} The .docx file.
+ */
+function buildDocx(book) {
+  const { overview, outline, chapters } = book;
+  const title = bookTitle(outline);
+  const pageBreak = '<w:pageBreakBefore/>';
+
+  const body = [
+    paragraph(run(title), 'Title'),
+    paragraph(run('Overview'), 'Heading1', pageBreak),
+    renderBlocks(lexMarkdown(overview)),
+    ...outline.map((ch, i) => [
+      paragraph(run(`Chapter ${i + 1}: ${ch.title}`), 'Heading1', pageBreak),
+      paragraph(run(ch.synopsis), 'Synopsis'),
+      renderBlocks(lexMarkdown(chapters[i])),
+    ].join('\n')),
+  ].join('\n');
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}">
+  <w:body>
+${body}
+    <w:sectPr>
+      <w:pgSz w:w="12240" w:h="15840"/>
+      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+    </w:sectPr>
+  </w:body>
+</w:document>`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeHtml(title)}</dc:title>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: PACKAGE_RELS },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS },
+    { name: 'word/styles.xml', data: STYLES },
+    { name: 'docProps/core.xml', data: core },
+  ]);
+}
+
+module.exports = {
+  buildDocx,
+};
@@ -0,0 +1,188 @@
+/**
+ * EPUB 3 export of stored books.
+ * @module epub
+ */
+const { createZip } = require('./zip');
+const { renderXhtml } = require('./markdown');
+const { bookTitle } = require('./books');
+const { escapeHtml } = require('./utils');
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3 { font-family: sans-serif; line-height: 1.2; }
+.synopsis { font-style: italic; color: #555; }
+.cover { text-align: center; margin-top: 30%; }
+.cover h1 { font-size: 2em; }
+pre { white-space: pre-wrap; font-size: .85em; background: #f4f4f4; padding: .5em; }
+code { font-family: monospace; }
+blockquote { margin-left: 1em; padding-left: 1em; border-left: 3px solid #ccc; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: .25em .5em; }`;
+
+// Markdown images pointing at the web are left remote, which EPUB 3 allows
+// only on content documents flagged with the remote-resources property
+const REMOTE_IMAGE = /<img\b[^>]*\ssrc="https?:\/\//i;
+
+/**
+ * Wraps a body fragment in an XHTML content document.
+ * @param {string} title - The document title.
+ * @param {string} body - The XHTML body content.
+ * @param {string} lang - The language tag.
+ * @returns {string} The XHTML document.
+ */
+function xhtmlPage(title, body, lang) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Draws a plain typographic SVG cover with the title wrapped over several lines.
+ * @param {string} title - The book title.
+ * @returns {string} The SVG document.
+ */
+function coverSvg(title) {
+  const lines = [];
+  let line = '';
+  for (const word of title.split(/\s+/)) {
+    if (line && (line + ' ' + word).length > 18) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  const top = 700 - lines.length * 45;
+  return `<?xml version="1.0" encoding="utf-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="1600" viewBox="0 0 1200 1600">
+  <rect width="1200" height="1600" fill="#1f3a4d"/>
+  <rect x="60" y="60" width="1080" height="1480" fill="none" stroke="#e8d9b5" stroke-width="6"/>
+  ${lines.map((l, i) => `<text x="600" y="${top + i * 110}" font-family="serif" font-size="90" fill="#f5efe0" text-anchor="middle">${escapeHtml(l)}</text>`).join('\n  ')}
+</svg>`;
+}
+
+/**
+ * Builds an EPUB 3 package for a stored book: cover image and page, overview,
+ * one XHTML document per chapter, a navigation document and package metadata.
+ * @param {string} slug - The book slug, used for the identifier.
+ * @param {Object} book - The book as returned by loadBook.
+ * @returns {Buffer} The .epub file.
+ */
+function buildEpub(slug, book) {
+  const { overview, outline, chapters, meta } = book;
+  const title = bookTitle(outline);
+  const lang = meta.language || 'en';
+  const created = meta.createdAt ? new Date(meta.createdAt) : new Date();
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const subjects = (meta.keywords || '').split(',').map(k => k.trim()).filter(Boolean);
+
+  const chapterDocs = outline.map((ch, i) => ({
+    id: `chapter-${i + 1}`,
+    href: `chapter-${i + 1}.xhtml`,
+    label: `Chapter ${i + 1}: ${ch.title}`,
+    html: xhtmlPage(
+      ch.title,
+      `<section epub:type="chapter">
+<h1>Chapter ${i + 1}: ${escapeHtml(ch.title)}</h1>
+<p class="synopsis">${escapeHtml(ch.synopsis)}</p>
+${renderXhtml(chapters[i])}
+</section>`,
+      lang
+    ),
+  }));
+
+  const docs = [
+    {
+      id: 'cover',
+      href: 'cover.xhtml',
+      label: 'Cover',
+      html: xhtmlPage(
+        title,
+        `<section epub:type="cover" class="cover">
+<img src="cover.svg" alt="${escapeHtml(title)}" style="max-width: 100%; max-height: 100%;" />
+</section>`,
+        lang
+      ),
+    },
+    {
+      id: 'overview',
+      href: 'overview.xhtml',
+      label: 'Overview',
+      html: xhtmlPage('Overview', `<section epub:type="preface">
+<h1>Overview</h1>
+${renderXhtml(overview)}
+</section>`, lang),
+    },
+    ...chapterDocs,
+  ];
+
+  const nav = xhtmlPage(
+    title,
+    `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${docs.slice(1).map(d => `  <li><a href="${d.href}">${escapeHtml(d.label)}</a></li>`).join('\n')}
+</ol>
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+<ol>
+  <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>
+  <li><a epub:type="bodymatter" href="${chapterDocs[0].href}">Start of content</a></li>
+</ol>
+</nav>`,
+    lang
+  );
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:book:${escapeHtml(slug)}</dc:identifier>
+    <dc:title>${escapeHtml(title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <dc:date>${created.toISOString().slice(0, 10)}</dc:date>
+${subjects.map(s => `    <dc:subject>${escapeHtml(s)}</dc:subject>`).join('\n')}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta name="cover" content="cover-image" />
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="css" href="style.css" media-type="text/css" />
+    <item id="cover-image" href="cover.svg" media-type="image/svg+xml" properties="cover-image" />
+${docs.map(d => `    <item id="${d.id}" href="${d.href}" media-type="application/xhtml+xml"${REMOTE_IMAGE.test(d.html) ? ' properties="remote-resources"' : ''} />`).join('\n')}
+  </manifest>
+  <spine>
+${docs.map(d => `    <itemref idref="${d.id}"${d.id === 'cover' ? ' linear="no"' : ''} />`).join('\n')}
+  </spine>
+</package>`;
+
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>`;
+
+  return createZip([
+    // The mimetype entry must come first and be stored uncompressed
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/style.css', data: STYLESHEET },
+    { name: 'OEBPS/cover.svg', data: coverSvg(title) },
+    ...docs.map(d => ({ name: `OEBPS/${d.href}`, data: d.html })),
+  ]);
+}
+
+module.exports = {
+  buildEpub,
+};
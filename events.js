@@ -0,0 +1,99 @@
+/**
+ * In-process event bus for job progress, relayed to browsers as
+ * Server-Sent Events.
+ * @module events
+ */
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Event types after which a job produces no further events.
+ */
+const TERMINAL_EVENTS = ['done', 'failed', 'cancelled'];
+
+/**
+ * Publishes an event for a job.
+ * @param {string} jobId - The job id.
+ * @param {string} type - The event type (e.g. "stage", "chapter-done", "retry").
+ * @param {Object} [data={}] - The event payload.
+ */
+function publish(jobId, type, data = {}) {
+  bus.emit(jobId, type, data);
+}
+
+/**
+ * Subscribes to the events of a job.
+ * @param {string} jobId - The job id.
+ * @param {Function} listener - Called with (type, data) for every event.
+ * @returns {Function} A function that removes the subscription.
+ */
+function subscribe(jobId, listener) {
+  bus.on(jobId, listener);
+  return () => bus.off(jobId, listener);
+}
+
+/**
+ * Writes a single SSE frame to a response.
+ * @param {Express.Response} res - The response being streamed.
+ * @param {string} type - The event name.
+ * @param {Object} data - The JSON payload.
+ */
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Opens an SSE stream on a response and relays a job's events to it until the
+ * job finishes or the client disconnects. The current job snapshot is sent
+ * first so late subscribers can render the state they missed; once subscribed,
+ * the job is reloaded, and a job that finished in between is sent as a final
+ * snapshot, since its terminal event has already been published.
+ * @param {Express.Request} req - The incoming request.
+ * @param {Express.Response} res - The response to stream into.
+ * @param {string} jobId - The job id.
+ * @param {Object} snapshot - The public view of the job before subscribing.
+ * @param {boolean} finished - Whether the job has already reached a terminal status.
+ * @param {Function} reload - Resolves to { snapshot, finished } for the job's current
+ *   state, or null if it no longer exists.
+ */
+function streamJobEvents(req, res, jobId, snapshot, finished, reload) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  sendEvent(res, 'snapshot', snapshot);
+  if (finished) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  const unsubscribe = subscribe(jobId, (type, data) => {
+    sendEvent(res, type, data);
+    if (TERMINAL_EVENTS.includes(type)) res.end();
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  reload()
+    .then(latest => {
+      if (res.writableEnded || (latest && !latest.finished)) return;
+      if (latest) sendEvent(res, 'snapshot', latest.snapshot);
+      res.end();
+    })
+    .catch(err => {
+      console.error(`Reloading job ${jobId} for its event stream failed:`, err);
+      if (!res.writableEnded) res.end();
+    });
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  streamJobEvents,
+};
@@ -3,6 +3,10 @@
  * @module htmlBuilders
  */
 //const escapeHtml = require('./utils');
+const { renderHtml } = require('./markdown');
+const { bookTitle } = require('./books');
+const { STYLE_FIELDS, STYLE_OPTIONS } = require('./style');
+const { LANGUAGES } = require('./languages');
 
 /**
  * A utility function to escape HTML special characters in a string.
@@ -23,11 +27,96 @@ function escapeHtml(unsafeString) {
     .replace(/"/g, "&quot;")
     .replace(/'/g, "&#039;");
 }
+/**
+ * Builds a labelled <select> for the generation profile.
+ * @param {Array<string>} profiles - The available profile names; the first is preselected.
+ * @returns {string} The HTML fragment, or an empty string if there are no profiles.
+ */
+function profileSelect(profiles) {
+  if (!profiles.length) return '';
+  return `<label>Profile</label><br/>
+      <select name="profile">
+        ${profiles.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('')}
+      </select>
+      <br/>`;
+}
+
+/**
+ * Builds a labelled <select> for the output language.
+ * @param {Object} languages - Language names keyed by code.
+ * @param {string} [emptyLabel='Model default'] - The label of the "no language" option.
+ * @returns {string} The HTML fragment.
+ */
+function languageSelect(languages, emptyLabel = 'Model default') {
+  return `<label>Language</label><br/>
+      <select name="language">
+        <option value="">${escapeHtml(emptyLabel)}</option>
+        ${Object.entries(languages).map(([code, name]) => `<option value="${code}">${escapeHtml(name)}</option>`).join('')}
+      </select>
+      <br/>`;
+}
+
+/**
+ * Builds the style controls: a <select> for each field with fixed choices and
+ * a text input for the free-text ones. Every field can be left unspecified.
+ * @param {Object} options - The allowed values of the fixed-choice fields (style.STYLE_OPTIONS).
+ * @returns {string} The HTML fragment.
+ */
+function styleFields(options) {
+  const LABELS = {
+    genre: 'Genre',
+    readingLevel: 'Reading level',
+    pointOfView: 'Point of view',
+    codeBlocks: 'Code blocks',
+  };
+  const select = field => `<label>${LABELS[field]}</label><br/>
+      <select name="${field}">
+        <option value="">Unspecified</option>
+        ${Object.keys(options[field]).map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('')}
+      </select>
+      <br/>`;
+  return `${select('genre')}
+      <label>Target audience</label><br/>
+      <input type="text" name="audience" maxlength="200" placeholder="e.g. hobby gardeners, first-year nursing students"/>
+      <br/>
+      ${select('readingLevel')}
+      <label>Tone</label><br/>
+      <input type="text" name="tone" maxlength="200" placeholder="e.g. warm and humorous, formal"/>
+      <br/>
+      ${select('pointOfView')}
+      ${select('codeBlocks')}`;
+}
+
+/**
+ * Builds a collapsible set of prompt template <select>s, one per stage, with
+ * each stage's default template preselected.
+ * @param {Array<Object>} templates - The template list (see templates.listTemplates).
+ * @param {Array<string>} stages - The stages the form's generation goes through.
+ * @returns {string} The HTML fragment, or an empty string if no stage has an alternative template.
+ */
+function templateSelects(templates, stages) {
+  const choices = stages.map(stage => [stage, templates.filter(t => t.stage === stage)]);
+  if (choices.every(([, list]) => list.length < 2)) return '';
+  return `<details>
+        <summary>Prompt templates (<a href="/prompts">edit</a>)</summary>
+        ${choices.map(([stage, list]) => `<label>${escapeHtml(stage)}</label><br/>
+        <select name="template:${escapeHtml(stage)}">
+          ${list.map(t => `<option value="${escapeHtml(t.name)}"${t.name === stage ? ' selected' : ''}>${escapeHtml(t.name)} (v${t.latest})</option>`).join('')}
+        </select>
+        <br/>`).join('')}
+      </details>
+      <br/>`;
+}
+
 /**
  * Builds the HTML for the universal content generator page.
+ * @param {Array<string>} [profiles=[]] - The available generation profile names.
+ * @param {Array<Object>} [templates=[]] - The available prompt templates.
+ * @param {Object} [styleOptions=STYLE_OPTIONS] - The allowed style values.
+ * @param {Object} [languages=LANGUAGES] - The output languages, names keyed by code.
  * @returns {string} The HTML content.
  */
-function buildUniversalPage() {
+function buildUniversalPage(profiles = [], templates = [], styleOptions = STYLE_OPTIONS, languages = LANGUAGES) {
   return `<!doctype html>
 <html>
   <head>
@@ -36,9 +125,14 @@ function buildUniversalPage() {
     <style>
       body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 700px; }
       textarea { width: 100%; height: 12rem; font-family: inherit; }
+      select, input[type=text] { padding: .25rem; margin: .25rem 0 .5rem; }
+      input[type=text] { width: 60%; }
+      fieldset { margin: .5rem 0; border: 1px solid #ddd; }
       button { padding: .75rem 1.5rem; margin-top: .5rem; }
       #link { margin-top: 1rem; font-weight: bold; }
       #spinner { display: none; }
+      #live { white-space: pre-wrap; max-height: 24rem; overflow-y: auto; background: #fafafa; border: 1px solid #ddd; padding: .75rem; font-size: .9rem; }
+      #live:empty { display: none; }
     </style>
   </head>
   <body>
@@ -57,33 +151,101 @@ The book transitions into a practical handbook for mushroom identification and f
 
 Beyond identification, The Fungal Kingdom delves into the cultural history of mushrooms, exploring their use in traditional medicine, cuisine, and folklore around the world. It concludes with a look at the future of mycology, touching on the potential of fungi in bioremediation, medicine, and as a sustainable food source. This book is an invitation to explore the mysterious, beautiful, and essential world of fungi that exists just beneath our feet.</textarea>
       <br/>
+      <fieldset>
+        <legend>Style (optional)</legend>
+        ${styleFields(styleOptions)}
+      </fieldset>
+      ${languageSelect(languages)}
+      ${profileSelect(profiles)}
+      ${templateSelects(templates, ['content'])}
       <button type="submit">Generate</button>
       <span id="spinner">⏳ Generating…</span>
     </form>
     <div id="link"></div>
+    <pre id="live"></pre>
     <hr>
     <p><a href="/book-from-keywords">Or create a book from keywords →</a></p>
+    <p><a href="/library">Browse the library →</a> · <a href="/usage">Token usage</a> · <a href="/prompts">Prompt templates</a></p>
 
     <script>
+      const spinner = document.getElementById('spinner');
+      const link = document.getElementById('link');
+      const live = document.getElementById('live');
+      const STAGES = { content: '⏳ Generating…', store: '⏳ Saving…' };
+
       document.getElementById('genForm').addEventListener('submit', async (e) => {
         e.preventDefault();
-        document.getElementById('spinner').style.display = 'inline';
-        document.getElementById('link').innerHTML = '';
-        const overview = new FormData(e.target).get('overview');
-        const res = await fetch('/generate', {
+        spinner.innerText = '⏳ Starting…';
+        spinner.style.display = 'inline';
+        link.innerHTML = '';
+        live.textContent = '';
+        const fd = new FormData(e.target);
+        const res = await fetch('/jobs', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ overview })
+          body: JSON.stringify({
+            type: 'piece',
+            overview: fd.get('overview'),
+            profile: fd.get('profile') || undefined,
+            language: fd.get('language') || undefined,
+            ...Object.fromEntries(${JSON.stringify(STYLE_FIELDS)}.map(f => [f, fd.get(f) || undefined])),
+            templates: Object.fromEntries([...fd].filter(([k]) => k.startsWith('template:')).map(([k, v]) => [k.slice(9), v]))
+          })
         });
-        document.getElementById('spinner').style.display = 'none';
-        if (res.ok) {
-          const data = await res.json();
-          const slug = data.slug;
-          document.getElementById('link').innerHTML =
-            '<a href="/download/' + slug + '.md">Download ' + slug + '.md</a>';
-        } else {
-          document.getElementById('link').innerText = 'Error generating content.';
+        if (!res.ok) {
+          spinner.style.display = 'none';
+          link.innerText = 'Error generating content.';
+          return;
         }
+        const { id } = await res.json();
+
+        // Follow the job's progress until it finishes
+        const source = new EventSource('/events/' + id);
+        const on = (type, handler) =>
+          source.addEventListener(type, ev => handler(JSON.parse(ev.data)));
+        const finish = message => {
+          source.close();
+          spinner.style.display = 'none';
+          if (message) link.innerText = message;
+        };
+        const showLinks = links => {
+          link.innerHTML = links.map(l => '<a href="' + l.href + '">' + l.label + '</a>').join('<br/>');
+        };
+
+        on('snapshot', job => {
+          if (job.status === 'completed') {
+            finish();
+            showLinks(job.downloads);
+          } else if (job.status === 'failed' || job.status === 'cancelled') {
+            finish('Error generating content.');
+          } else {
+            spinner.innerText = STAGES[job.stage] || '⏳ Generating…';
+            live.textContent = job.draft;
+          }
+        });
+        on('stage', ({ stage }) => {
+          spinner.innerText = STAGES[stage] || '⏳ Generating…';
+        });
+        on('token', ({ text }) => {
+          live.textContent += text;
+          live.scrollTop = live.scrollHeight;
+        });
+        on('continue', ({ pass, words }) => {
+          spinner.innerText = \`⏳ Continuing at \${words} words (pass \${pass})…\`;
+        });
+        on('retry', ({ attempt, maxRetries, draft }) => {
+          live.textContent = draft || '';
+          spinner.innerText = \`⏳ Attempt \${attempt}/\${maxRetries} failed – retrying…\`;
+        });
+        on('done', ({ downloads }) => {
+          finish();
+          showLinks(downloads);
+        });
+        on('failed', () => finish('Error generating content.'));
+        on('cancelled', () => finish('Generation cancelled.'));
+        source.onerror = () => {
+          if (source.readyState === EventSource.CLOSED) finish('Lost connection to the generator.');
+        };
       });
     </script>
   </body>
@@ -92,9 +254,13 @@ Beyond identification, The Fungal Kingdom delves into the cultural history of mu
 
 /**
  * Builds the HTML for the keyword-to-book generator page.
+ * @param {Array<string>} [profiles=[]] - The available generation profile names.
+ * @param {Array<Object>} [templates=[]] - The available prompt templates.
+ * @param {Object} [styleOptions=STYLE_OPTIONS] - The allowed style values.
+ * @param {Object} [languages=LANGUAGES] - The output languages, names keyed by code.
  * @returns {string} The HTML content.
  */
-function buildKeywordPage() {
+function buildKeywordPage(profiles = [], templates = [], styleOptions = STYLE_OPTIONS, languages = LANGUAGES) {
   return `<!doctype html>
 <html>
   <head>
@@ -102,7 +268,8 @@ function buildKeywordPage() {
     <title>Book From Keywords – DeepSeek</title>
     <style>
       body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 700px; }
-      input[type=text], input[type=number] { width: 100%; padding: .5rem; margin-top: .25rem; }
+      input[type=text], input[type=number], select { width: 100%; padding: .5rem; margin-top: .25rem; }
+      fieldset { margin: 0 0 1rem; border: 1px solid #ddd; }
       button { padding: .75rem 1.5rem; margin-top: 1rem; }
       #progress-container {
         margin-top: 1.5rem;
@@ -116,6 +283,10 @@ function buildKeywordPage() {
         width: 100%;
         height: 20px;
       }
+      #progress-note { color: #a60; font-size: .9rem; }
+      #usage-note { color: #666; font-size: .8rem; }
+      #live { white-space: pre-wrap; max-height: 24rem; overflow-y: auto; background: #fafafa; border: 1px solid #ddd; padding: .75rem; font-size: .9rem; }
+      #live:empty { display: none; }
       #downloads { margin-top: 1rem; font-weight: bold; }
     </style>
   </head>
@@ -127,23 +298,48 @@ function buildKeywordPage() {
       <br/><br/>
       <label>Chapters (3-15)</label><br/>
       <input type="number" name="chapters" min="3" max="15" value="8" required/>
-      <br/>
+      <br/><br/>
+      <label>Chapter continuity</label><br/>
+      <select name="continuity">
+        <option value="sequential">Sequential – each chapter sees summaries of the ones before</option>
+        <option value="independent">Independent – chapters written in isolation</option>
+      </select>
+      <br/><br/>
+      <label>Token budget (optional – the job stops once it is exceeded)</label><br/>
+      <input type="number" name="tokenBudget" min="0" step="1000" placeholder="no limit"/>
+      <br/><br/>
+      <fieldset>
+        <legend>Style (optional)</legend>
+        ${styleFields(styleOptions)}
+      </fieldset>
+      ${languageSelect(languages)}
+      ${profileSelect(profiles)}
+      ${templateSelects(templates, ['overview', 'outline', 'chapter', 'continuity', 'summary'])}
       <button type="submit">Generate book</button>
+      <button type="button" id="cancel" style="display: none;">Cancel</button>
     </form>
     <div id="progress-container" style="display: none;">
       <div id="progress-text"></div>
       <progress id="progress-bar" value="0" max="100"></progress>
+      <div id="progress-note"></div>
+      <div id="usage-note"></div>
+      <pre id="live"></pre>
     </div>
     <div id="downloads"></div>
     <hr>
-    <p><a href="/">← Back to universal generator</a></p>
+    <p><a href="/">← Back to universal generator</a> · <a href="/library">Library</a> · <a href="/prompts">Prompt templates</a></p>
 
     <script>
       const form = document.getElementById('kwForm');
+      const cancelBtn = document.getElementById('cancel');
       const progressContainer = document.getElementById('progress-container');
       const progressBar = document.getElementById('progress-bar');
       const progressText = document.getElementById('progress-text');
+      const progressNote = document.getElementById('progress-note');
+      const usageNote = document.getElementById('usage-note');
+      const live = document.getElementById('live');
       const downloads = document.getElementById('downloads');
+      let currentJob = null;
 
       // Helper function to update the progress bar and text
       function updateProgress(message, value) {
@@ -152,146 +348,245 @@ function buildKeywordPage() {
         progressBar.value = value;
       }
 
+      function setRunning(running) {
+        form.querySelector('button').disabled = running;
+        cancelBtn.style.display = running ? 'inline' : 'none';
+      }
+
+      function showDownloads(links) {
+        downloads.innerHTML =
+          '<p>Ready! Download:</p>' +
+          '<ul>' +
+          links.map(l => '<li><a href="' + l.href + '">' + l.label + '</a></li>').join('') +
+          '</ul>';
+      }
+
+      function showUsage(usage) {
+        if (!usage || !usage.calls) return;
+        usageNote.innerText = \`\${usage.totalTokens.toLocaleString()} tokens in \${usage.calls} calls (≈ $\${usage.cost.toFixed(4)})\`;
+      }
+
+      // Maps a job snapshot onto the progress bar
+      function renderJob(job) {
+        const total = job.params.chapters;
+        if (job.status === 'completed') {
+          updateProgress('Complete!', 100);
+          showDownloads(job.downloads);
+        } else if (job.status === 'failed') {
+          updateProgress(\`Error: \${job.error.message}\`, 0);
+        } else if (job.status === 'cancelled') {
+          updateProgress('Cancelled.', 0);
+        } else if (job.stage === 'overview') {
+          updateProgress('Step 1/3: Generating book overview...', 10);
+        } else if (job.stage === 'outline') {
+          updateProgress('Step 2/3: Creating chapter outlines...', 30);
+        } else if (job.stage === 'chapters') {
+          const next = Math.min(job.chaptersDone + 1, total);
+          updateProgress(\`Step 3/3: Writing chapter \${next} of \${total}...\`, 30 + (job.chaptersDone / total) * 70);
+        } else {
+          updateProgress('Assembling book...', 100);
+        }
+      }
+
+      // Follows the job's event stream until it reaches a terminal status
+      function watchJob(id) {
+        currentJob = id;
+        localStorage.setItem('bookJob', id);
+        setRunning(true);
+        let total = 0;
+        const source = new EventSource('/events/' + id);
+        const finish = () => {
+          source.close();
+          localStorage.removeItem('bookJob');
+          setRunning(false);
+        };
+        const on = (type, handler) =>
+          source.addEventListener(type, e => handler(JSON.parse(e.data)));
+
+        on('snapshot', job => {
+          total = job.params.chapters;
+          renderJob(job);
+          showUsage(job.usage);
+          live.textContent = job.draft;
+          if (!['queued', 'running'].includes(job.status)) finish();
+        });
+        on('stage', ({ stage }) => {
+          progressNote.innerText = '';
+          renderJob({ status: 'running', stage, params: { chapters: total }, chaptersDone: 0 });
+        });
+        on('chapter-start', ({ index, total }) => {
+          progressNote.innerText = '';
+          live.textContent = '';
+          updateProgress(\`Step 3/3: Writing chapter \${index} of \${total}...\`, 30 + ((index - 1) / total) * 70);
+        });
+        on('chapter-done', ({ index, total, words }) => {
+          updateProgress(\`Step 3/3: Wrote chapter \${index} of \${total} (\${words} words)\`, 30 + (index / total) * 70);
+        });
+        on('continue', ({ pass, reason, words }) => {
+          progressNote.innerText = reason === 'length'
+            ? \`Output hit the length limit at \${words} words – continuing (pass \${pass})…\`
+            : \`Only \${words} words so far – extending (pass \${pass})…\`;
+        });
+        on('outline-invalid', ({ attempt, errors, willRepair }) => {
+          progressNote.innerText = \`Outline attempt \${attempt} was invalid (\${errors[0]})\` +
+            (willRepair ? ' – asking for a repair…' : '');
+        });
+        on('chapter-summary', ({ index }) => {
+          progressNote.innerText = \`Summarized chapter \${index} for continuity\`;
+        });
+        on('token', ({ text }) => {
+          live.textContent += text;
+          live.scrollTop = live.scrollHeight;
+        });
+        on('usage', showUsage);
+        on('retry', ({ attempt, maxRetries, error, draft }) => {
+          live.textContent = draft || '';
+          progressNote.innerText = \`Attempt \${attempt}/\${maxRetries} failed (\${error}) – retrying…\`;
+        });
+        on('done', ({ downloads: links }) => {
+          progressNote.innerText = '';
+          updateProgress('Complete!', 100);
+          showDownloads(links);
+          finish();
+        });
+        on('failed', ({ message }) => {
+          updateProgress(\`Error: \${message}\`, 0);
+          finish();
+        });
+        on('cancelled', () => {
+          updateProgress('Cancelled.', 0);
+          finish();
+        });
+        source.onerror = () => {
+          if (source.readyState === EventSource.CLOSED) {
+            updateProgress('Error: lost connection to job.', 0);
+            finish();
+          }
+        };
+      }
+
       form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        
         downloads.innerHTML = '';
-        form.querySelector('button').disabled = true;
+        usageNote.innerText = '';
+        live.textContent = '';
+        setRunning(true);
 
         const fd = new FormData(e.target);
         const payload = {
           keywords: fd.get('keywords'),
-          chapters: fd.get('chapters')
+          chapters: fd.get('chapters'),
+          continuity: fd.get('continuity'),
+          profile: fd.get('profile') || undefined,
+          tokenBudget: fd.get('tokenBudget') || undefined,
+          language: fd.get('language') || undefined,
+          ...Object.fromEntries(${JSON.stringify(STYLE_FIELDS)}.map(f => [f, fd.get(f) || undefined])),
+          templates: Object.fromEntries([...fd].filter(([k]) => k.startsWith('template:')).map(([k, v]) => [k.slice(9), v]))
         };
-        const chapterCount = parseInt(payload.chapters, 10);
-        let bookOverview = '';
-        let chapterOutline = [];
-        const generatedChapters = [];
-
-        try {
-          // Step 1: Generating overview (10% progress)
-          updateProgress('Step 1/3: Generating book overview...', 10);
-          const overviewRes = await fetch('/generate-book-overview', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-          });
-          if (!overviewRes.ok) throw new Error('Overview generation failed.');
-          const overviewData = await overviewRes.json();
-          bookOverview = overviewData.overview;
-
-          // Step 2: Creating outline (30% progress)
-          updateProgress('Step 2/3: Creating chapter outlines...', 30);
-          const outlineRes = await fetch('/generate-book-outline', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ overview: bookOverview, chapters: chapterCount })
-          });
-          if (!outlineRes.ok) throw new Error('Outline generation failed.');
-          const outlineData = await outlineRes.json();
-          chapterOutline = outlineData.outline;
-          
-          // Step 3: Writing chapters (30-100% progress)
-          for (let i = 0; i < chapterOutline.length; i++) {
-            const currentProgress = 30 + (i / chapterOutline.length) * 70;
-            updateProgress(\`Step 3/3: Writing chapter \${i + 1} of \${chapterCount}...\`, currentProgress);
-
-            const chapterRes = await fetch('/generate-chapter', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ 
-                overview: bookOverview, 
-                chapterMeta: chapterOutline[i], 
-                idx: i + 1, 
-                total: chapterCount 
-              })
-            });
-            if (!chapterRes.ok) throw new Error('Chapter generation failed.');
-            const chapterData = await chapterRes.json();
-            
-            const words = (chapterData.content || '').split(/\\s+/).filter(Boolean).length;
-            updateProgress(\`Step 3/3: Writing chapter \${i + 1} of \${chapterCount}... (\${words} words)\`, currentProgress + (1/chapterOutline.length) * 70);
-            generatedChapters.push(chapterData.content);
-          }
-          
-          // Final Step: Assemble and store book (100% progress)
-          updateProgress('Complete! Assembling book...', 100);
-          const assembleRes = await fetch('/assemble-book', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-              overview: bookOverview, 
-              outline: chapterOutline, 
-              chaptersRaw: generatedChapters, 
-              keywords: payload.keywords 
-            })
-          });
-          if (!assembleRes.ok) throw new Error('Book assembly failed.');
-          const finalData = await assembleRes.json();
-          const slug = finalData.slug;
-          
-          downloads.innerHTML =
-            '<p>Ready! Download:</p>' +
-            '<ul>' +
-            '<li><a href="/download/' + slug + '.md">Full book (' + slug + '.md)</a></li>' +
-            '<li><a href="/download/' + slug + '-overview.md">Overview only</a></li>' +
-            '<li><a href="/download/' + slug + '-outline.json">Raw outline (JSON)</a></li>' +
-            '</ul>';
-        } catch (error) {
-          updateProgress(\`Error: \${error.message}\`, 0);
-          console.error('Fetch error:', error);
-        } finally {
-          form.querySelector('button').disabled = false;
+        updateProgress('Starting job...', 0);
+        const res = await fetch('/jobs', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        if (!res.ok) {
+          const { error } = await res.json();
+          updateProgress(\`Error: \${error}\`, 0);
+          setRunning(false);
+          return;
         }
+        const { id } = await res.json();
+        watchJob(id);
       });
+
+      cancelBtn.addEventListener('click', async () => {
+        if (!currentJob) return;
+        await fetch('/jobs/' + currentJob + '/cancel', { method: 'POST' });
+      });
+
+      // The job keeps running server-side if the tab closes; pick it back up.
+      const pending = localStorage.getItem('bookJob');
+      if (pending) watchJob(pending);
     </script>
   </body>
 </html>`;
 }
 
 /**
- * Builds the HTML for the Redis key browser.
- * @param {Array<Object>} rows - Array of objects with key and preview properties.
+ * Builds the Redis browser: one SCAN page of keys with type, TTL, memory and a
+ * preview, a pattern or prefix filter, and bulk deletion by pattern with a
+ * dry-run count.
+ * @param {Object} page - The page (see redisBrowser.scanPage).
+ * @param {Object} [query={}] - The request query, to keep the filter in links.
  * @returns {string} The HTML content.
  */
-function buildRedisPage(rows) {
+function buildRedisPage({ cursor, match, keys }, query = {}) {
+  const bytes = n => (n === null ? '–' : n < 1024 ? `${n} B` : `${(n / 1024).toFixed(1)} KiB`);
+  const params = extra => new URLSearchParams(
+    Object.entries({ match: query.match, prefix: query.prefix, count: query.count, ...extra }).filter(([, v]) => v)
+  ).toString();
+
   return `<!doctype html>
 <html>
   <head>
     <meta charset="utf-8"/>
     <title>Redis Browser</title>
     <style>
-      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 900px; }
-      table { width: 100%; border-collapse: collapse; }
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; }
       th, td { padding: .5rem; border: 1px solid #ccc; text-align: left; }
       th { background: #f6f6f6; }
+      td.num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
       .preview { max-width: 400px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
       button { padding: .25rem .5rem; font-size: .8rem; margin-right: .25rem; }
-      #empty { color: #666; font-style: italic; }
+      form { margin: 1rem 0; }
+      input[type=text] { width: 320px; padding: .3rem; }
+      #empty, .muted { color: #666; font-style: italic; }
     </style>
   </head>
   <body>
-    <h1>All Redis Variables</h1>
-    <p><a href="/">← Back to generators</a></p>
-    ${rows.length === 0
-      ? '<p id="empty">No keys found.</p>'
+    <h1>Redis Browser</h1>
+    <p><a href="/">← Back to generators</a> · <a href="/api/redis/keys?${params({})}">JSON</a></p>
+
+    <form method="get" action="/redis">
+      <input type="text" name="match" placeholder="Glob pattern, e.g. book-full:*" value="${escapeHtml(query.match || '')}">
+      or prefix <input type="text" name="prefix" placeholder="u:3c034df69449:" value="${escapeHtml(query.prefix || '')}">
+      <button type="submit">Filter</button>
+    </form>
+    <p class="muted">Pattern <code>${escapeHtml(match)}</code>${query.cursor && query.cursor !== '0' ? ' (continued page)' : ''}.</p>
+
+    ${keys.length === 0
+      ? '<p id="empty">No keys found on this page.</p>'
       : `<table>
           <thead>
-            <tr><th>Key</th><th>Preview</th><th>Action</th></tr>
+            <tr><th>Key</th><th>Type</th><th>Size</th><th>TTL</th><th>Memory</th><th>Preview</th><th>Action</th></tr>
           </thead>
           <tbody>
-            ${rows.map(r => `
+            ${keys.map(k => `
               <tr>
-                <td><code>${escapeHtml(r.key)}</code></td>
-                <td class="preview">${escapeHtml(r.preview)}</td>
+                <td><code>${escapeHtml(k.key)}</code></td>
+                <td>${escapeHtml(k.type)}</td>
+                <td class="num">${k.size ?? '–'}</td>
+                <td class="num">${k.ttl === null ? '–' : `${k.ttl} s`}</td>
+                <td class="num">${bytes(k.memory)}</td>
+                <td class="preview">${escapeHtml(k.preview)}</td>
                 <td>
-                  <button onclick="downloadKey('${encodeURIComponent(r.key)}')">Download</button>
-                  <button onclick="openKey('${encodeURIComponent(r.key)}')">Open</button>
-                  <button onclick="del('${encodeURIComponent(r.key)}', this)">Delete</button>
+                  <button onclick="downloadKey('${encodeURIComponent(k.key)}')">Download</button>
+                  <button onclick="openKey('${encodeURIComponent(k.key)}')">Open</button>
+                  <button onclick="del('${encodeURIComponent(k.key)}', this)">Delete</button>
                 </td>
               </tr>`).join('')}
           </tbody>
         </table>`}
+    <p>${cursor ? `<a href="/redis?${params({ cursor })}">Next page →</a>` : '<span class="muted">End of scan.</span>'}</p>
+
+    <h2>Bulk delete</h2>
+    <form id="bulk">
+      <input type="text" name="pattern" placeholder="Glob pattern" value="${escapeHtml(query.match || '')}" required>
+      <button type="button" onclick="bulk(true)">Count (dry run)</button>
+      <button type="button" onclick="bulk(false)">Delete matching keys</button>
+    </form>
+    <p id="bulkStatus"></p>
     <script>
       function openKey(key) {
         window.open('/redis/raw/' + key, '_blank');
@@ -309,13 +604,707 @@ function buildRedisPage(rows) {
         await fetch('/redis/' + key, { method: 'DELETE' });
         btn.closest('tr').remove();
       }
+      async function bulk(dryRun) {
+        const pattern = document.querySelector('#bulk [name=pattern]').value;
+        const status = document.getElementById('bulkStatus');
+        if (!pattern) return;
+        if (!dryRun && !confirm('Delete every key matching ' + pattern + '?')) return;
+        const res = await fetch('/api/redis/delete', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ pattern, dryRun })
+        });
+        const body = await res.json();
+        if (!res.ok) return status.innerText = body.error;
+        status.innerText = dryRun
+          ? body.matched + ' key(s) match' + (body.sample.length ? ', e.g. ' + body.sample.join(', ') : '') + '.'
+          : body.deleted + ' key(s) deleted.';
+      }
     </script>
   </body>
 </html>`;
 }
 
+/**
+ * Builds the reading view of a stored book: the rendered overview and chapters
+ * with a sticky table of contents, per-chapter anchors, prev/next navigation
+ * and a print stylesheet for the browser's "save as PDF".
+ * @param {string} slug - The book slug.
+ * @param {Object} book - The book as returned by loadBook.
+ * @param {Object} [opts={}] - Options.
+ * @param {boolean} [opts.standalone=false] - Omit links back into the app, for the
+ *   single-file HTML download.
+ * @param {Object} [opts.languages=LANGUAGES] - The languages offered for translation.
+ * @returns {string} The HTML content.
+ */
+function buildBookPage(slug, book, { standalone = false, languages = LANGUAGES } = {}) {
+  const { overview, outline, chapters, meta = {} } = book;
+  const title = bookTitle(outline);
+  const translations = Object.entries(meta.translations || {})
+    .map(([code, target]) => `<a href="/books/${target}" hreflang="${code}">${escapeHtml(languages[code] || code)}</a>`);
+  const targets = Object.fromEntries(Object.entries(languages).filter(([code]) => code !== meta.language));
+  const anchor = i => (i < 0 ? 'overview' : `chapter-${i + 1}`);
+  const pager = i => `<nav class="pager">
+            ${i >= 0 ? `<a href="#${anchor(i - 1)}">← ${i === 0 ? 'Overview' : `Chapter ${i}`}</a>` : '<span></span>'}
+            ${i + 1 < outline.length ? `<a href="#${anchor(i + 1)}">Chapter ${i + 2} →</a>` : '<span></span>'}
+          </nav>`;
+
+  return `<!doctype html>
+<html${meta.language ? ` lang="${escapeHtml(meta.language)}"` : ''}>
+  <head>
+    <meta charset="utf-8"/>
+    <meta name="viewport" content="width=device-width, initial-scale=1"/>
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Georgia, serif; margin: 0; line-height: 1.6; color: #222; }
+      .layout { display: flex; max-width: 1100px; margin: 0 auto; }
+      #toc { position: sticky; top: 0; align-self: flex-start; width: 250px; max-height: 100vh; overflow-y: auto; padding: 2rem 1rem; box-sizing: border-box; font-family: system-ui, sans-serif; font-size: .9rem; }
+      #toc ol { padding-left: 1.2rem; }
+      #toc li { margin: .3rem 0; }
+      #toc a { color: #333; text-decoration: none; }
+      #toc a:hover { text-decoration: underline; }
+      main { flex: 1; min-width: 0; padding: 2rem; max-width: 750px; }
+      h1, h2, h3 { font-family: system-ui, sans-serif; line-height: 1.25; }
+      .synopsis { font-style: italic; color: #555; }
+      .pager { display: flex; justify-content: space-between; margin: 2rem 0; font-family: system-ui, sans-serif; }
+      pre { background: #f6f6f6; padding: .75rem; overflow-x: auto; font-size: .85rem; }
+      blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid #ccc; color: #555; }
+      table { border-collapse: collapse; }
+      th, td { border: 1px solid #ccc; padding: .3rem .6rem; }
+      hr { border: none; border-top: 1px solid #ddd; margin: 3rem 0; }
+      .actions { font-family: system-ui, sans-serif; font-size: .9rem; }
+      .actions form { display: inline; }
+      @media (max-width: 800px) {
+        .layout { display: block; }
+        #toc { position: static; width: auto; max-height: none; padding-bottom: 0; }
+      }
+      @media print {
+        #toc, .pager, .actions { display: none; }
+        main { max-width: none; padding: 0; }
+        body { font-size: 11pt; }
+        section.chapter { page-break-before: always; }
+        h1, h2, h3 { page-break-after: avoid; }
+        pre { white-space: pre-wrap; page-break-inside: avoid; }
+        a { color: inherit; text-decoration: none; }
+      }
+    </style>
+  </head>
+  <body>
+    <div class="layout">
+      <aside id="toc">
+        <strong>${escapeHtml(title)}</strong>
+        <ol>
+          <li><a href="#overview">Overview</a></li>
+          ${outline.map((ch, i) => `<li><a href="#${anchor(i)}">${escapeHtml(ch.title)}</a></li>`).join('\n          ')}
+        </ol>
+      </aside>
+      <main>
+        ${standalone ? '' : `<p class="actions"><a href="/">← Back to generators</a> ·
+          <a href="/download/${slug}.html">Download HTML</a> ·
+          <a href="/download/${slug}.epub">EPUB</a> ·
+          <a href="/download/${slug}.md">Markdown</a> ·
+          <a href="/library/book/${slug}/revisions">History</a> ·
+          <a href="#" onclick="window.print(); return false;">Print / save as PDF</a></p>
+        <div class="actions">
+          ${meta.translationOf ? `Translated from <a href="/books/${meta.translationOf.slug}">${escapeHtml(meta.translationOf.slug)}</a> · ` : ''}
+          ${translations.length ? `Also in ${translations.join(', ')} · ` : ''}
+          <form id="translate">
+            <select name="language">
+              ${Object.entries(targets).map(([code, name]) => `<option value="${code}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+            <button type="submit">Translate</button>
+            <span id="translate-status"></span>
+          </form>
+        </div>
+        <script>
+          document.getElementById('translate').addEventListener('submit', async e => {
+            e.preventDefault();
+            const status = document.getElementById('translate-status');
+            const button = e.target.querySelector('button');
+            button.disabled = true;
+            status.innerText = 'Starting…';
+            const res = await fetch('/books/${slug}/translate', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ language: e.target.language.value })
+            });
+            const body = await res.json();
+            if (!res.ok) {
+              status.innerText = body.error;
+              button.disabled = false;
+              return;
+            }
+            const source = new EventSource('/events/' + body.id);
+            const on = (type, handler) => source.addEventListener(type, ev => handler(JSON.parse(ev.data)));
+            const finish = message => {
+              source.close();
+              button.disabled = false;
+              status.innerText = message;
+            };
+            on('stage', ({ stage }) => { status.innerText = 'Translating ' + stage + '…'; });
+            on('chapter-start', ({ index, total }) => { status.innerText = 'Translating chapter ' + index + ' of ' + total + '…'; });
+            on('done', ({ slug }) => {
+              finish('Done: ');
+              const link = document.createElement('a');
+              link.href = '/books/' + slug;
+              link.innerText = slug;
+              status.append(link);
+            });
+            on('failed', ({ message }) => finish('Failed: ' + message));
+            on('cancelled', () => finish('Cancelled.'));
+          });
+        </script>`}
+        <h1>${escapeHtml(title)}</h1>
+        <section id="overview">
+          <h2>Overview</h2>
+          ${renderHtml(overview)}
+          ${pager(-1)}
+        </section>
+        ${outline.map((ch, i) => `<hr/>
+        <section class="chapter" id="${anchor(i)}">
+          <h1>Chapter ${i + 1}: ${escapeHtml(ch.title)}</h1>
+          <p class="synopsis">${escapeHtml(ch.synopsis)}</p>
+          ${renderHtml(chapters[i])}
+          ${pager(i)}
+        </section>`).join('\n        ')}
+      </main>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the library page listing stored books and universal pieces. Filtering
+ * and sorting are done server-side through the query string.
+ * @param {Array<Object>} works - The library entries, already filtered and sorted.
+ * @param {Object} query - The current filters: type, q, profile, sort, order.
+ * @param {Array<string>} [profiles=[]] - The available profile names.
+ * @returns {string} The HTML content.
+ */
+function buildLibraryPage(works, query, profiles = []) {
+  const option = (value, label, current) =>
+    `<option value="${escapeHtml(value)}"${value === (current || '') ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+  const date = iso => (iso ? escapeHtml(iso.slice(0, 16).replace('T', ' ')) : '–');
+  const readHref = w => (w.type === 'book' ? `/books/${w.slug}` : `/pieces/${w.slug}`);
+  const downloads = w => (w.type === 'book'
+    ? ['md', 'epub', 'docx', 'tex', 'html'].map(ext => `<a href="/download/${w.slug}.${ext}">${ext}</a>`).join(' ')
+    : `<a href="/download/${w.slug}.md">md</a>`);
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Library</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; }
+      form { margin-bottom: 1rem; display: flex; gap: .5rem; flex-wrap: wrap; align-items: center; }
+      input, select { padding: .3rem; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+      th, td { padding: .4rem .5rem; border: 1px solid #ccc; text-align: left; vertical-align: top; }
+      th { background: #f6f6f6; white-space: nowrap; }
+      td.num { text-align: right; }
+      .type { font-size: .75rem; text-transform: uppercase; color: #666; }
+      .keywords { color: #666; font-size: .8rem; }
+      button { padding: .25rem .5rem; font-size: .8rem; }
+      #empty { color: #666; font-style: italic; }
+    </style>
+  </head>
+  <body>
+    <h1>Library</h1>
+    <p><a href="/">← Back to generators</a> · <a href="/book-from-keywords">New book</a></p>
+    <form method="get" action="/library">
+      <input type="search" name="q" placeholder="Search title, slug, keywords" value="${escapeHtml(query.q || '')}"/>
+      <select name="type">
+        ${option('', 'All types', query.type)}
+        ${option('book', 'Books', query.type)}
+        ${option('piece', 'Pieces', query.type)}
+      </select>
+      <select name="profile">
+        ${option('', 'Any profile', query.profile)}
+        ${profiles.map(p => option(p, p, query.profile)).join('')}
+      </select>
+      <select name="sort">
+        ${option('updatedAt', 'Last updated', query.sort)}
+        ${option('createdAt', 'Created', query.sort)}
+        ${option('title', 'Title', query.sort)}
+        ${option('words', 'Word count', query.sort)}
+        ${option('chapters', 'Chapters', query.sort)}
+      </select>
+      <select name="order">
+        ${option('', 'Default order', query.order)}
+        ${option('asc', 'Ascending', query.order)}
+        ${option('desc', 'Descending', query.order)}
+      </select>
+      <button type="submit">Apply</button>
+    </form>
+    ${works.length === 0
+      ? '<p id="empty">Nothing stored yet.</p>'
+      : `<table>
+          <thead>
+            <tr><th>Title</th><th>Chapters</th><th>Words</th><th>Profile</th><th>Created</th><th>Updated</th><th>Download</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${works.map(w => `
+              <tr>
+                <td>
+                  <span class="type">${w.type}</span><br/>
+                  <a href="${readHref(w)}">${escapeHtml(w.title)}</a>
+                  ${w.keywords ? `<div class="keywords">${escapeHtml(w.keywords)}</div>` : ''}
+                </td>
+                <td class="num">${w.chapters ?? '–'}</td>
+                <td class="num">${w.words.toLocaleString('en-US')}</td>
+                <td>${escapeHtml(w.profile || '–')}</td>
+                <td>${date(w.createdAt)}</td>
+                <td>${date(w.updatedAt)}</td>
+                <td>${downloads(w)}</td>
+                <td>
+                  <a href="/library/${w.type}/${w.slug}/revisions">History</a>
+                  <button onclick="del('${w.type}', '${w.slug}', this)">Delete</button>
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>`}
+    <script>
+      async function del(type, slug, btn) {
+        if (!confirm('Delete ' + type + ' "' + slug + '" and all its stored parts?')) return;
+        const res = await fetch('/api/books/' + type + '/' + slug, { method: 'DELETE' });
+        if (res.ok) btn.closest('tr').remove();
+        else alert('Delete failed');
+      }
+    </script>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the reading view of a stored universal piece.
+ * @param {string} slug - The piece slug.
+ * @param {string} title - The piece title.
+ * @param {string} content - The piece markdown.
+ * @returns {string} The HTML content.
+ */
+function buildPiecePage(slug, title, content) {
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <meta name="viewport" content="width=device-width, initial-scale=1"/>
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Georgia, serif; margin: 2rem auto; max-width: 750px; padding: 0 1rem; line-height: 1.6; color: #222; }
+      h1, h2, h3 { font-family: system-ui, sans-serif; line-height: 1.25; }
+      pre { background: #f6f6f6; padding: .75rem; overflow-x: auto; font-size: .85rem; }
+      .actions { font-family: system-ui, sans-serif; font-size: .9rem; }
+      @media print { .actions { display: none; } }
+    </style>
+  </head>
+  <body>
+    <p class="actions"><a href="/library">← Library</a> · <a href="/download/${slug}.md">Download markdown</a> ·
+      <a href="/library/piece/${slug}/revisions">History</a></p>
+    ${renderHtml(content)}
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the revision history page of a stored work: the revision list with
+ * restore buttons and a line diff between two revisions, with long unchanged
+ * stretches collapsed.
+ * @param {string} type - "book" or "piece".
+ * @param {string} slug - The work slug.
+ * @param {Array<Object>} revisions - The revisions, oldest first.
+ * @param {Object} diff - The compared revisions: { from, to, ops }, ops null if missing.
+ * @returns {string} The HTML content.
+ */
+function buildRevisionsPage(type, slug, revisions, { from, to, ops }) {
+  const CONTEXT = 3;
+  const latest = revisions[revisions.length - 1].rev;
+  const revOptions = selected => revisions
+    .map(r => `<option value="${r.rev}"${r.rev === selected ? ' selected' : ''}>#${r.rev}</option>`)
+    .join('');
+  const readHref = type === 'book' ? `/books/${slug}` : `/pieces/${slug}`;
+
+  let diffHtml = '<p class="muted">One of the selected revisions no longer exists.</p>';
+  if (ops) {
+    const changed = ops.map(o => o.op !== 'equal');
+    const near = i => changed.slice(Math.max(0, i - CONTEXT), i + CONTEXT + 1).some(Boolean);
+    const lines = [];
+    let skipped = 0;
+    ops.forEach((o, i) => {
+      if (o.op === 'equal' && !near(i)) {
+        skipped++;
+        return;
+      }
+      if (skipped) lines.push(`<div class="skip">… ${skipped} unchanged line${skipped === 1 ? '' : 's'} …</div>`);
+      skipped = 0;
+      const sign = { equal: ' ', add: '+', remove: '-' }[o.op];
+      lines.push(`<div class="${o.op}">${sign} ${escapeHtml(o.text)}</div>`);
+    });
+    if (skipped) lines.push(`<div class="skip">… ${skipped} unchanged line${skipped === 1 ? '' : 's'} …</div>`);
+    const added = ops.filter(o => o.op === 'add').length;
+    const removed = ops.filter(o => o.op === 'remove').length;
+    diffHtml = added || removed
+      ? `<p><span class="plus">+${added}</span> <span class="minus">−${removed}</span> lines</p><pre class="diff">${lines.join('')}</pre>`
+      : '<p class="muted">No differences.</p>';
+  }
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Revisions – ${escapeHtml(slug)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1000px; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+      th, td { padding: .4rem .5rem; border: 1px solid #ccc; text-align: left; }
+      th { background: #f6f6f6; }
+      td.num { text-align: right; }
+      button { padding: .25rem .5rem; font-size: .8rem; }
+      .muted { color: #666; font-style: italic; }
+      .diff { font-size: .8rem; border: 1px solid #ddd; padding: .5rem 0; overflow-x: auto; }
+      .diff div { padding: 0 .5rem; white-space: pre-wrap; }
+      .diff .add { background: #e6ffec; }
+      .diff .remove { background: #ffebe9; }
+      .diff .skip { color: #888; background: #f6f8fa; }
+      .plus { color: #1a7f37; font-weight: bold; }
+      .minus { color: #cf222e; font-weight: bold; }
+    </style>
+  </head>
+  <body>
+    <h1>Revisions of <code>${escapeHtml(slug)}</code></h1>
+    <p><a href="/library">← Library</a> · <a href="${readHref}">Read current</a></p>
+    <table>
+      <thead>
+        <tr><th>#</th><th>Saved</th><th>Change</th><th>Words</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${revisions.slice().reverse().map(r => `
+          <tr>
+            <td>${r.rev}</td>
+            <td>${escapeHtml(r.createdAt.slice(0, 19).replace('T', ' '))}</td>
+            <td>${escapeHtml(r.note || '–')}</td>
+            <td class="num">${r.words.toLocaleString('en-US')}</td>
+            <td>${r.rev === latest ? '<em>current</em>' : `<button onclick="restore(${r.rev})">Restore</button>`}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    <h2>Compare</h2>
+    <form method="get">
+      <select name="from">${revOptions(from)}</select>
+      →
+      <select name="to">${revOptions(to)}</select>
+      <button type="submit">Show diff</button>
+    </form>
+    ${diffHtml}
+    <script>
+      async function restore(rev) {
+        if (!confirm('Restore revision #' + rev + '? The current text stays available as a revision.')) return;
+        const res = await fetch('/api/books/${type}/${slug}/revisions/' + rev + '/restore', { method: 'POST' });
+        if (res.ok) location.href = location.pathname;
+        else alert('Restore failed');
+      }
+    </script>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the token usage page: totals per day, per book or piece and per
+ * recent job, the completion cache counters and the price table the costs
+ * were computed from.
+ * @param {Object} report - The usage report plus recent job summaries under `jobs`
+ *   and the cache counters (see cache.cacheStats) under `cache`.
+ * @returns {string} The HTML content.
+ */
+function buildUsagePage({ prices, days, books, jobs, total, cache }) {
+  const num = n => (n || 0).toLocaleString('en-US');
+  const usd = n => `$${(n || 0).toFixed(4)}`;
+  const cells = u => `<td class="num">${num(u.calls)}</td><td class="num">${num(u.promptTokens)}</td>` +
+    `<td class="num">${num(u.completionTokens)}</td><td class="num">${num(u.totalTokens)}</td><td class="num">${usd(u.cost)}</td>`;
+  const head = first => `<tr><th>${first}</th><th>Calls</th><th>Prompt</th><th>Completion</th><th>Total</th><th>Cost</th></tr>`;
+  const table = (first, rows, empty) => (rows.length
+    ? `<table><thead>${head(first)}</thead><tbody>${rows.join('')}</tbody></table>`
+    : `<p class="muted">${empty}</p>`);
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Token Usage</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1000px; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; margin-bottom: 1.5rem; }
+      th, td { padding: .4rem .5rem; border: 1px solid #ccc; text-align: left; }
+      th { background: #f6f6f6; }
+      td.num { text-align: right; font-variant-numeric: tabular-nums; }
+      .summary { font-size: 1.1rem; }
+      .muted { color: #666; font-style: italic; }
+    </style>
+  </head>
+  <body>
+    <h1>Token Usage</h1>
+    <p><a href="/">← Back to generators</a> · <a href="/library">Library</a> · <a href="/api/usage">JSON</a></p>
+    <p class="summary">Last ${days.length} active day${days.length === 1 ? '' : 's'}:
+      <strong>${num(total.totalTokens)}</strong> tokens in ${num(total.calls)} calls, <strong>${usd(total.cost)}</strong></p>
+
+    <h2>Per day</h2>
+    ${table('Day (UTC)', days.map(d => `<tr><td>${escapeHtml(d.id)}</td>${cells(d)}</tr>`), 'No calls recorded yet.')}
+
+    <h2>Per book or piece</h2>
+    ${table('Slug', books.map(b => `<tr><td><code>${escapeHtml(b.id)}</code></td>${cells(b)}</tr>`), 'No finished generations recorded yet.')}
+
+    <h2>Recent jobs</h2>
+    ${jobs.length
+      ? `<table>
+          <thead><tr><th>Job</th><th>Type</th><th>Status</th><th>Result</th><th>Tokens</th><th>Budget</th><th>Cost</th></tr></thead>
+          <tbody>
+            ${jobs.map(j => `
+              <tr>
+                <td><code title="${escapeHtml(j.id)}">${escapeHtml(j.id.slice(0, 8))}</code></td>
+                <td>${escapeHtml(j.type)}</td>
+                <td>${escapeHtml(j.status)}${j.error ? ` – ${escapeHtml(j.error.message)}` : ''}</td>
+                <td>${j.slug ? `<code>${escapeHtml(j.slug)}</code>` : '–'}</td>
+                <td class="num">${num(j.usage?.totalTokens)}</td>
+                <td class="num">${j.params.tokenBudget ? num(j.params.tokenBudget) : '–'}</td>
+                <td class="num">${usd(j.usage?.cost)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>`
+      : '<p class="muted">No jobs yet.</p>'}
+
+    <h2>Completion cache</h2>
+    ${cache.enabled
+      ? `<p>${num(cache.hits)} hits, ${num(cache.misses)} misses, ${num(cache.shared)} shared with an identical request in flight
+      (${cache.hits + cache.misses ? Math.round(100 * cache.hits / (cache.hits + cache.misses)) : 0}% hit rate; entries kept ${num(cache.ttl)} s).</p>`
+      : '<p class="muted">Disabled (<code>COMPLETION_CACHE_TTL=0</code>).</p>'}
+
+    <h2>Prices</h2>
+    <p class="muted">USD per million tokens; <code>*</code> applies to models not listed. Override with <code>USAGE_PRICES</code>.</p>
+    <table>
+      <thead><tr><th>Model</th><th>Prompt</th><th>Completion</th></tr></thead>
+      <tbody>
+        ${Object.entries(prices).map(([model, p]) => `
+          <tr><td><code>${escapeHtml(model)}</code></td><td class="num">${p.prompt}</td><td class="num">${p.completion}</td></tr>`).join('')}
+      </tbody>
+    </table>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the prompt template list, with a form to start a new template.
+ * @param {Array<Object>} templates - The template list (see templates.listTemplates).
+ * @param {Object} placeholders - The placeholder names each stage supplies, keyed by stage.
+ * @returns {string} The HTML content.
+ */
+function buildPromptsPage(templates, placeholders) {
+  const stages = Object.keys(placeholders);
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Prompt Templates</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1000px; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; margin-bottom: 1.5rem; }
+      th, td { padding: .4rem .5rem; border: 1px solid #ccc; text-align: left; }
+      th { background: #f6f6f6; }
+      td.num { text-align: right; }
+      input, select { padding: .3rem; }
+      .muted { color: #666; font-size: .85rem; }
+    </style>
+  </head>
+  <body>
+    <h1>Prompt Templates</h1>
+    <p><a href="/">← Back to generators</a> · <a href="/api/prompts">JSON</a></p>
+    <p class="muted">Each generation stage sends one system prompt. The template named after a stage is its default;
+      other templates can be chosen per request. Saving a template adds a new version, and every generated work
+      records the versions it was written with.</p>
+    <table>
+      <thead><tr><th>Template</th><th>Stage</th><th>Latest</th><th>Description</th><th>Placeholders</th></tr></thead>
+      <tbody>
+        ${templates.map(t => `
+          <tr>
+            <td><a href="/prompts/${encodeURIComponent(t.name)}">${escapeHtml(t.name)}</a>${t.name === t.stage ? ' <em>(default)</em>' : ''}</td>
+            <td>${escapeHtml(t.stage)}</td>
+            <td class="num">v${t.latest}</td>
+            <td>${escapeHtml(t.description || '–')}</td>
+            <td>${placeholders[t.stage].map(p => `<code>{{${p}}}</code>`).join(' ') || '–'}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    <h2>New template</h2>
+    <form id="newForm">
+      <input type="text" name="name" placeholder="name, e.g. chapter-technical" pattern="[a-z0-9][a-z0-9-]*" required/>
+      <select name="stage">
+        ${stages.map(s => `<option value="${s}">${s}</option>`).join('')}
+      </select>
+      <button type="submit">Create from stage default</button>
+    </form>
+    <script>
+      document.getElementById('newForm').addEventListener('submit', e => {
+        e.preventDefault();
+        const fd = new FormData(e.target);
+        location.href = '/prompts/' + encodeURIComponent(fd.get('name')) + '?stage=' + fd.get('stage');
+      });
+    </script>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the editor of one prompt template: its version history, the text of
+ * the selected version with a live preview, and a form that saves the edited
+ * text as a new version. A template without versions is being created.
+ * @param {Object} template - The template record: { name, stage, description, versions }.
+ * @param {Object} shown - The text in the editor: { text, version }, version null for a new template.
+ * @param {Array<string>} placeholders - The placeholder names the stage supplies.
+ * @returns {string} The HTML content.
+ */
+function buildPromptEditorPage(template, shown, placeholders) {
+  const { name, stage, description, versions } = template;
+  const latest = versions.length ? versions[versions.length - 1].version : null;
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Prompt template – ${escapeHtml(name)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1000px; }
+      table { width: 100%; border-collapse: collapse; font-size: .9rem; margin-bottom: 1.5rem; }
+      th, td { padding: .4rem .5rem; border: 1px solid #ccc; text-align: left; }
+      th { background: #f6f6f6; }
+      textarea { width: 100%; height: 14rem; font-family: ui-monospace, monospace; font-size: .85rem; }
+      input[type=text] { width: 100%; padding: .3rem; margin-bottom: .5rem; }
+      button { padding: .5rem 1rem; margin-top: .5rem; }
+      #preview { white-space: pre-wrap; background: #fafafa; border: 1px solid #ddd; padding: .75rem; font-size: .85rem; }
+      #preview:empty { display: none; }
+      #status { margin-left: .5rem; }
+      .warn { color: #a60; }
+      .muted { color: #666; font-size: .85rem; }
+    </style>
+  </head>
+  <body>
+    <h1>Template <code>${escapeHtml(name)}</code></h1>
+    <p><a href="/prompts">← All templates</a></p>
+    <p>Stage: <strong>${escapeHtml(stage)}</strong>${latest ? ` · latest version v${latest}` : ' · <em>new template, not saved yet</em>'}</p>
+    ${versions.length ? `<table>
+      <thead><tr><th>Version</th><th>Saved</th><th>Note</th><th></th></tr></thead>
+      <tbody>
+        ${versions.slice().reverse().map(v => `
+          <tr>
+            <td>v${v.version}</td>
+            <td>${v.createdAt ? escapeHtml(v.createdAt.slice(0, 19).replace('T', ' ')) : '–'}</td>
+            <td>${escapeHtml(v.note || '–')}</td>
+            <td>${v.version === shown.version ? '<em>shown</em>' : `<a href="?version=${v.version}">Show</a>`}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>` : ''}
+    <form id="editForm">
+      <label>Description</label><br/>
+      <input type="text" name="description" value="${escapeHtml(description || '')}"/>
+      <label>Text${shown.version ? ` (from v${shown.version})` : ''}</label><br/>
+      <textarea name="text">${escapeHtml(shown.text)}</textarea>
+      <p class="muted">Placeholders for this stage:
+        ${placeholders.map(p => `<code>{{${p}}}</code>`).join(' ') || 'none'}</p>
+      <label>Change note</label><br/>
+      <input type="text" name="note" placeholder="What changed in this version"/>
+      <button type="button" id="previewBtn">Preview</button>
+      <button type="submit">Save as v${(latest || 0) + 1}</button>
+      <span id="status"></span>
+    </form>
+    <h2>Preview</h2>
+    <p id="unknown" class="warn"></p>
+    <pre id="preview"></pre>
+    <script>
+      const form = document.getElementById('editForm');
+      const status = document.getElementById('status');
+
+      document.getElementById('previewBtn').addEventListener('click', async () => {
+        const res = await fetch('/api/prompts/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ stage: ${JSON.stringify(stage)}, text: form.text.value })
+        });
+        const { rendered, unknown, error } = await res.json();
+        if (error) {
+          status.innerText = error;
+          return;
+        }
+        document.getElementById('preview').textContent = rendered;
+        document.getElementById('unknown').innerText = unknown.length
+          ? 'Not supplied for this stage (rendered empty): ' + unknown.join(', ')
+          : '';
+      });
+
+      form.addEventListener('submit', async e => {
+        e.preventDefault();
+        status.innerText = 'Saving…';
+        const res = await fetch('/api/prompts/${encodeURIComponent(name)}', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            stage: ${JSON.stringify(stage)},
+            text: form.text.value,
+            description: form.description.value,
+            note: form.note.value || undefined
+          })
+        });
+        const body = await res.json();
+        if (res.ok) location.href = location.pathname;
+        else status.innerText = body.error;
+      });
+    </script>
+  </body>
+</html>`;
+}
+
+/**
+ * Builds the login page, where a browser exchanges an API key for a session
+ * cookie. Signed-in users see who they are and can log out instead.
+ * @param {Object} [opts] - Page options.
+ * @param {Object} [opts.user] - The signed-in user, if any.
+ * @param {string} [opts.error] - An error from a failed login.
+ * @returns {string} The HTML content.
+ */
+function buildLoginPage({ user, error } = {}) {
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>Log in</title>
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 4rem auto; max-width: 420px; }
+      input { width: 100%; padding: .5rem; box-sizing: border-box; margin-bottom: 1rem; }
+      button { padding: .5rem 1rem; }
+      .error { color: #b00; }
+    </style>
+  </head>
+  <body>
+    <h1>Log in</h1>
+    ${user
+      ? `<p>Signed in as <strong>${escapeHtml(user.name)}</strong> (${escapeHtml(user.role)}).</p>
+    <p><a href="/">← Back to generators</a></p>
+    <form method="post" action="/logout"><button type="submit">Log out</button></form>`
+      : `${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/login">
+      <label>API key<br><input type="password" name="apiKey" autocomplete="current-password" autofocus required></label>
+      <button type="submit">Log in</button>
+    </form>`}
+  </body>
+</html>`;
+}
+
 module.exports = {
   buildUniversalPage,
   buildKeywordPage,
   buildRedisPage,
+  buildBookPage,
+  buildLibraryPage,
+  buildPiecePage,
+  buildRevisionsPage,
+  buildUsagePage,
+  buildPromptsPage,
+  buildPromptEditorPage,
+  buildLoginPage,
 };
@@ -0,0 +1,676 @@
+/**
+ * Server-side generation jobs. A book job runs the keyword → overview →
+ * outline → chapters → assemble pipeline; a piece job expands a single
+ * universal brief; a translation job renders a stored book into another
+ * language, part by part. Jobs run in the background, persist their state after
+ * every step so progress survives closed tabs and restarts, and publish
+ * progress events for SSE subscribers.
+ * @module jobs
+ */
+const crypto = require('crypto');
+const {
+  generateContent,
+  generateBookOverview,
+  generateChapterOutline,
+  generateChapter,
+  summarizeChapter,
+  translateText,
+  translateOutline,
+} = require('./services');
+const {
+  bookSlug,
+  claimSlug,
+  releaseSlug,
+  storeBook,
+  loadBook,
+  replaceChapter,
+  updateTranslations,
+  bookDownloads,
+  pieceSlug,
+  storePiece,
+  pieceDownloads,
+} = require('./books');
+const { publish } = require('./events');
+const { getProfile, profileError } = require('./profiles');
+const { countWords, parseTargetWords, parseTokenBudget, parseFlag } = require('./utils');
+const { resolveTemplates } = require('./templates');
+const { parseStyle } = require('./style');
+const { parseLanguage } = require('./languages');
+const { emptyUsage, addUsage, recordUsage } = require('./usage');
+const { scopedClient } = require('./auth');
+
+/* ---------- Job state ---------- */
+const JOB_TYPES = ['book', 'piece', 'chapter', 'translation'];
+// Chapter and translation jobs are started by their own routes, from a stored book
+const REQUEST_TYPES = ['book', 'piece'];
+const CONTINUITY_MODES = ['independent', 'sequential'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Jobs currently executing in this process, keyed by id. The in-memory
+// object is authoritative while a job runs; cancellation mutates it directly.
+const active = new Map();
+
+// Text streamed so far for the step each running job is writing. Kept in
+// memory only: the finished text is what gets persisted.
+const drafts = new Map();
+
+// Length of each draft when its current continuation pass started, so a retry
+// discards only the text of the failed pass.
+const passStarts = new Map();
+
+/**
+ * Builds the Redis key for a job record.
+ * @param {string} id - The job id.
+ * @returns {string} The Redis key.
+ */
+function jobKey(id) {
+  return `job:${id}`;
+}
+
+/**
+ * Loads a job record from Redis.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} id - The job id.
+ * @returns {Promise<Object|null>} The job, or null if it does not exist.
+ */
+async function loadJob(client, id) {
+  const raw = await client.get(jobKey(id));
+  // The stored record confirms the job belongs to this client's workspace
+  if (raw && active.has(id)) return active.get(id);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Persists a job record to Redis.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job to save.
+ * @returns {Promise<Object>} The saved job.
+ */
+async function saveJob(client, job) {
+  job.updatedAt = new Date().toISOString();
+  await client.set(jobKey(job.id), JSON.stringify(job));
+  return job;
+}
+
+/**
+ * Returns the public view of a job, without the generated texts.
+ * @param {Object} job - The job record.
+ * @returns {Object} The job summary.
+ */
+function summarizeJob(job) {
+  const { chapters, content, ...rest } = job;
+  return chapters ? { ...rest, chaptersDone: chapters.length } : rest;
+}
+
+/**
+ * Returns the text streamed so far for the step a job is currently writing.
+ * @param {string} id - The job id.
+ * @returns {string} The partial text, or an empty string.
+ */
+function jobDraft(id) {
+  return drafts.get(id) || '';
+}
+
+/**
+ * Discards the draft of a job, before it starts writing its next step.
+ * @param {string} id - The job id.
+ */
+function clearDraft(id) {
+  drafts.delete(id);
+  passStarts.delete(id);
+}
+
+/**
+ * Whether a job has reached a terminal status.
+ * @param {Object} job - The job record.
+ * @returns {boolean} True if the job will not change any more.
+ */
+function isFinished(job) {
+  return !ACTIVE_STATUSES.includes(job.status);
+}
+
+/**
+ * Whether a running job has been stopped (cancelled, or failed on its token
+ * budget) and should do no further work.
+ * @param {Object} job - The job record.
+ * @returns {boolean} True if the job is no longer running.
+ */
+function halted(job) {
+  return job.status !== 'running';
+}
+
+/* ---------- Pipeline ---------- */
+
+/**
+ * Moves a job to a new stage, persisting and announcing the change.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {string} stage - The new stage.
+ */
+async function setStage(client, job, stage) {
+  job.stage = stage;
+  await saveJob(client, job);
+  publish(job.id, 'stage', { stage, status: job.status });
+}
+
+/**
+ * Marks a job as failed at its current stage, releasing the slug it claimed
+ * if nothing was stored under it.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {string} message - The error message.
+ */
+async function failJob(client, job, message) {
+  job.status = 'failed';
+  job.error = { stage: job.stage, message };
+  if (job.slug) await releaseSlug(client, job.slug);
+  await saveJob(client, job);
+  publish(job.id, 'failed', job.error);
+}
+
+/**
+ * Marks a job as completed and announces its download links.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {string} slug - The slug the result was stored under.
+ * @param {Array<Object>} downloads - The download links for the result.
+ */
+async function completeJob(client, job, slug, downloads) {
+  await recordUsage(client, 'book', slug, job.usage);
+  job.slug = slug;
+  job.downloads = downloads;
+  job.stage = 'done';
+  job.status = 'completed';
+  await saveJob(client, job);
+  publish(job.id, 'done', { slug, downloads });
+}
+
+/**
+ * Adds the usage of one completion to a job and fails the job once it goes
+ * over its token budget; the pipeline then stops before the next request.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {Object} usage - The priced usage of the call.
+ */
+function chargeJob(client, job, usage) {
+  addUsage(job.usage, usage);
+  publish(job.id, 'usage', job.usage);
+  const budget = job.params.tokenBudget;
+  if (budget && job.usage.totalTokens > budget && !halted(job)) {
+    failJob(client, job, `Token budget of ${budget} exceeded (${job.usage.totalTokens} tokens used)`)
+      .catch(e => console.error(`Job ${job.id} could not be failed:`, e));
+  }
+}
+
+/**
+ * Builds the generator options that relay retries, continuation passes, usage
+ * and (when streaming) text deltas to a job's subscribers, and stop further
+ * requests once the job is halted.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {boolean} [stream=false] - Whether to stream the completion token by token.
+ * @returns {Object} Options for the generator functions.
+ */
+function callOptions(client, job, stream = false) {
+  const opts = {
+    client,
+    profile: job.params.profile,
+    templates: job.params.templates,
+    style: job.params.style,
+    language: job.params.language,
+    targetWords: job.params.targetWords,
+    noCache: job.params.noCache,
+    isAborted: () => halted(job),
+    onUsage: usage => chargeJob(client, job, usage),
+    onRetry: (attempt, maxRetries, err) => {
+      // Text from earlier passes stays; only the failed request's text goes
+      const draft = jobDraft(job.id).slice(0, passStarts.get(job.id) || 0);
+      drafts.set(job.id, draft);
+      publish(job.id, 'retry', { stage: job.stage, attempt, maxRetries, error: err.message, draft });
+    },
+    onContinue: (pass, { reason, words }) => {
+      passStarts.set(job.id, jobDraft(job.id).length);
+      publish(job.id, 'continue', { stage: job.stage, pass, reason, words });
+    },
+  };
+  if (stream) {
+    opts.onToken = text => {
+      drafts.set(job.id, jobDraft(job.id) + text);
+      publish(job.id, 'token', { stage: job.stage, text });
+    };
+  }
+  return opts;
+}
+
+/**
+ * Writes continuity summaries for any chapters of a book job that lack one.
+ * A chapter whose summary cannot be generated falls back to its synopsis.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @param {Object} opts - Call options for the generator.
+ */
+async function summarizeMissing(client, job, opts) {
+  for (let k = job.summaries.length; k < job.chapters.length; k++) {
+    const summary = await summarizeChapter(job.chapters[k], job.outline[k], k + 1, opts);
+    if (halted(job)) return;
+    job.summaries.push(summary || job.outline[k].synopsis);
+    await saveJob(client, job);
+    publish(job.id, 'chapter-summary', { index: k + 1, fallback: !summary });
+  }
+}
+
+/**
+ * Runs the remaining steps of a book job, skipping any whose results are
+ * already stored. Returns early as soon as the job is cancelled.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ */
+async function executeBookJob(client, job) {
+  const { keywords, chapters } = job.params;
+  const opts = callOptions(client, job);
+  const streamOpts = callOptions(client, job, true);
+
+  // 1. Overview
+  if (!job.overview) {
+    await setStage(client, job, 'overview');
+    const overview = await generateBookOverview(keywords, opts);
+    if (halted(job)) return;
+    if (!overview) return failJob(client, job, 'Overview generation failed');
+    job.overview = overview;
+    await saveJob(client, job);
+  }
+
+  // 2. Outline
+  if (!job.outline) {
+    await setStage(client, job, 'outline');
+    let invalid = [];
+    const onInvalid = (attempt, errors, willRepair) => {
+      invalid = errors;
+      publish(job.id, 'outline-invalid', { attempt, errors, willRepair });
+    };
+    const outline = await generateChapterOutline(job.overview, chapters, { ...opts, onInvalid });
+    if (halted(job)) return;
+    if (!outline) return failJob(client, job, ['Outline generation failed', ...invalid].join(' '));
+    job.outline = outline;
+    await saveJob(client, job);
+  }
+
+  // 3. Chapters, one at a time, each persisted as soon as it is written. In
+  // sequential mode every chapter also sees the outline and the summaries of
+  // the chapters before it.
+  await setStage(client, job, 'chapters');
+  const total = job.outline.length;
+  const sequential = job.params.continuity === 'sequential';
+  for (let i = job.chapters.length; i < total; i++) {
+    let chapterOpts = streamOpts;
+    if (sequential) {
+      await summarizeMissing(client, job, opts);
+      if (halted(job)) return;
+      chapterOpts = { ...streamOpts, outline: job.outline, previousSummaries: job.summaries };
+    }
+    clearDraft(job.id);
+    publish(job.id, 'chapter-start', { index: i + 1, total, title: job.outline[i].title });
+    const content = await generateChapter(job.overview, job.outline[i], i + 1, total, chapterOpts);
+    if (halted(job)) return;
+    if (!content) return failJob(client, job, `Chapter ${i + 1} generation failed`);
+    job.chapters.push(content);
+    await saveJob(client, job);
+    publish(job.id, 'chapter-done', { index: i + 1, total, words: countWords(content) });
+  }
+
+  if (sequential) {
+    await summarizeMissing(client, job, opts);
+    if (halted(job)) return;
+  }
+
+  // 4. Assemble & store
+  await setStage(client, job, 'assemble');
+  // Claimed once and saved, so a resumed job overwrites its own book
+  if (!job.slug) {
+    job.slug = await claimSlug(client, bookSlug(job.outline, keywords), 'book');
+    await saveJob(client, job);
+  }
+  const slug = job.slug;
+  await storeBook(client, slug, {
+    overview: job.overview,
+    outline: job.outline,
+    chapters: job.chapters,
+    summaries: job.summaries,
+    meta: {
+      profile: getProfile(job.params.profile),
+      continuity: job.params.continuity,
+      keywords,
+      templates: job.params.templates,
+      style: job.params.style,
+      language: job.params.language,
+    },
+  }, 'Generated');
+  await completeJob(client, job, slug, bookDownloads(slug));
+}
+
+/**
+ * Runs a universal piece job.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ */
+async function executePieceJob(client, job) {
+  const { overview } = job.params;
+  await setStage(client, job, 'content');
+  const content = await generateContent(overview, callOptions(client, job, true));
+  if (halted(job)) return;
+  if (!content) return failJob(client, job, 'Generation failed');
+  job.words = countWords(content);
+
+  await setStage(client, job, 'store');
+  if (!job.slug) {
+    job.slug = await claimSlug(client, pieceSlug(overview), 'piece');
+    await saveJob(client, job);
+  }
+  const slug = job.slug;
+  await storePiece(client, slug, overview, content, {
+    profile: getProfile(job.params.profile),
+    templates: job.params.templates && { content: job.params.templates.content },
+    style: job.params.style,
+    language: job.params.language,
+  }, 'Generated');
+  await completeJob(client, job, slug, pieceDownloads(slug));
+}
+
+/**
+ * Regenerates one chapter of a stored book and rebuilds the book in place.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ */
+async function executeChapterJob(client, job) {
+  const { slug, index, instruction } = job.params;
+  const book = await loadBook(client, slug);
+  if (!book) return failJob(client, job, `Book "${slug}" not found`);
+  const total = book.outline.length;
+  if (index > total) return failJob(client, job, `Book "${slug}" has only ${total} chapters`);
+
+  await setStage(client, job, 'chapters');
+  publish(job.id, 'chapter-start', { index, total, title: book.outline[index - 1].title });
+  const opts = callOptions(client, job);
+  // Keep the profile, prompt templates, style and language the book was generated with unless others were requested
+  if (!opts.profile) opts.profile = book.meta.profile?.name;
+  if (!opts.templates) opts.templates = book.meta.templates;
+  if (!opts.style) opts.style = book.meta.style;
+  if (!opts.language) opts.language = book.meta.language;
+  const chapterOpts = {
+    ...callOptions(client, job, true),
+    profile: opts.profile,
+    templates: opts.templates,
+    style: opts.style,
+    language: opts.language,
+    instruction,
+  };
+  // Books written in sequential mode keep their continuity context
+  const sequential = book.meta.continuity === 'sequential';
+  if (sequential) {
+    Object.assign(chapterOpts, { outline: book.outline, previousSummaries: book.summaries.slice(0, index - 1) });
+  }
+  const content = await generateChapter(book.overview, book.outline[index - 1], index, total, chapterOpts);
+  if (halted(job)) return;
+  if (!content) return failJob(client, job, `Chapter ${index} generation failed`);
+  publish(job.id, 'chapter-done', { index, total, words: countWords(content) });
+
+  await setStage(client, job, 'assemble');
+  const summary = sequential ? await summarizeChapter(content, book.outline[index - 1], index, opts) : null;
+  if (halted(job)) return;
+  await replaceChapter(client, slug, book, index, content, summary);
+  await completeJob(client, job, slug, bookDownloads(slug));
+}
+
+/**
+ * Translates a stored book into another language: the overview, the outline,
+ * then each chapter, persisting every part as it is done. The result is stored
+ * as a new book under a language-suffixed slug and linked from the original.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ */
+async function executeTranslationJob(client, job) {
+  const { slug, language } = job.params;
+  const book = await loadBook(client, slug);
+  if (!book) return failJob(client, job, `Book "${slug}" not found`);
+  const opts = { ...callOptions(client, job), sourceLanguage: book.meta.language };
+  const streamOpts = { ...callOptions(client, job, true), sourceLanguage: book.meta.language };
+
+  if (!job.overview) {
+    await setStage(client, job, 'overview');
+    const overview = await translateText(book.overview, language, streamOpts);
+    if (halted(job)) return;
+    if (!overview) return failJob(client, job, 'Overview translation failed');
+    job.overview = overview;
+    await saveJob(client, job);
+  }
+
+  if (!job.outline) {
+    await setStage(client, job, 'outline');
+    const outline = await translateOutline(book.outline, language, opts);
+    if (halted(job)) return;
+    if (!outline) return failJob(client, job, 'Outline translation failed');
+    job.outline = outline;
+    await saveJob(client, job);
+  }
+
+  await setStage(client, job, 'chapters');
+  const total = book.outline.length;
+  for (let i = job.chapters.length; i < total; i++) {
+    clearDraft(job.id);
+    publish(job.id, 'chapter-start', { index: i + 1, total, title: job.outline[i].title });
+    const content = await translateText(book.chapters[i], language, streamOpts);
+    if (halted(job)) return;
+    if (!content) return failJob(client, job, `Chapter ${i + 1} translation failed`);
+    job.chapters.push(content);
+    await saveJob(client, job);
+    publish(job.id, 'chapter-done', { index: i + 1, total, words: countWords(content) });
+  }
+
+  await setStage(client, job, 'assemble');
+  if (!job.slug) {
+    job.slug = await claimSlug(client, `${slug}-${language}`, 'book');
+    await saveJob(client, job);
+  }
+  const { keywords, continuity, style } = book.meta;
+  await storeBook(client, job.slug, {
+    overview: job.overview,
+    outline: job.outline,
+    chapters: job.chapters,
+    // Continuity summaries are not translated; chapter regeneration falls back to the outline
+    summaries: [],
+    meta: {
+      profile: getProfile(job.params.profile),
+      keywords,
+      continuity,
+      style,
+      templates: job.params.templates,
+      language,
+      translationOf: { slug, language: book.meta.language || null },
+    },
+  }, `Translated from ${slug}`);
+  await updateTranslations(client, slug, language, job.slug);
+  await completeJob(client, job, job.slug, bookDownloads(job.slug));
+}
+
+/**
+ * Runs a job in the background of this process. Calling it for a job that is
+ * already running is a no-op.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} job - The job record.
+ * @returns {Promise<void>}
+ */
+async function runJob(client, job) {
+  if (active.has(job.id)) return;
+  active.set(job.id, job);
+  // Records created before usage accounting have no totals yet
+  job.usage = job.usage || emptyUsage();
+  try {
+    job.status = 'running';
+    job.error = null;
+    await saveJob(client, job);
+    if (job.type === 'piece') {
+      await executePieceJob(client, job);
+    } else if (job.type === 'chapter') {
+      await executeChapterJob(client, job);
+    } else if (job.type === 'translation') {
+      await executeTranslationJob(client, job);
+    } else {
+      await executeBookJob(client, job);
+    }
+  } catch (e) {
+    console.error(`Job ${job.id} crashed:`, e);
+    await failJob(client, job, e.message).catch(() => {});
+  } finally {
+    active.delete(job.id);
+    clearDraft(job.id);
+  }
+}
+
+/* ---------- Public API ---------- */
+
+/**
+ * Validates a book or piece job request (the body of POST /jobs, or one line
+ * of a batch) into job parameters. Template versions are pinned here, so a
+ * resumed job keeps the versions it started with.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} body - The request: `type` ("book", the default, or "piece"),
+ *   `keywords`, `chapters` and `continuity` for a book, `overview` for a piece,
+ *   and optionally `profile`, `targetWords`, `tokenBudget`, `templates`, the
+ *   style fields, `language` and `noCache`.
+ * @returns {Promise<Object>} { type, params }, or { error }.
+ */
+async function parseJobRequest(client, body) {
+  const { type = 'book', keywords, chapters, overview, profile, continuity = 'independent' } = body;
+  const targetWords = parseTargetWords(body.targetWords);
+  const tokenBudget = parseTokenBudget(body.tokenBudget);
+  if (!REQUEST_TYPES.includes(type)) return { error: `type must be one of ${REQUEST_TYPES.join(', ')}` };
+  if (profileError(profile)) return { error: profileError(profile) };
+  if (targetWords === null) return { error: 'targetWords must be a non-negative integer' };
+  if (tokenBudget === null) return { error: 'tokenBudget must be a non-negative integer' };
+  const templates = await resolveTemplates(client, body.templates);
+  if (templates.error) return { error: templates.error };
+  const style = parseStyle(body);
+  if (style.error) return { error: style.error };
+  const language = parseLanguage(body.language);
+  if (language.error) return { error: language.error };
+
+  const common = {
+    profile,
+    targetWords,
+    tokenBudget,
+    templates: templates.refs,
+    style: style.style,
+    language: language.language,
+    noCache: parseFlag(body.noCache),
+  };
+  if (type === 'piece') {
+    if (!overview) return { error: 'overview required' };
+    return { type, params: { overview, ...common } };
+  }
+  if (!keywords || !chapters) return { error: 'keywords and chapters required' };
+  const chapterCount = parseInt(chapters, 10);
+  if (!(chapterCount >= 3 && chapterCount <= 15)) return { error: 'chapters must be 3-15' };
+  if (!CONTINUITY_MODES.includes(continuity)) {
+    return { error: `continuity must be one of ${CONTINUITY_MODES.join(', ')}` };
+  }
+  return { type, params: { keywords, chapters: chapterCount, continuity, ...common } };
+}
+
+/**
+ * Creates a job and starts it immediately.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} type - One of JOB_TYPES.
+ * @param {Object} params - The job parameters: { keywords, chapters, continuity } for a
+ *   book, { overview } for a piece, { slug, index, instruction } for a
+ *   chapter regeneration, { slug, language } for a translation, plus an optional generation profile name, the
+ *   pinned prompt template versions (`templates`, see templates.resolveTemplates),
+ *   optional style fields (`style`, see style.parseStyle), an optional output
+ *   language code (`language`) and an optional token budget (`tokenBudget`)
+ *   after which the job fails.
+ * @returns {Promise<Object>} The created job.
+ */
+async function createJob(client, type, params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    stage: { book: 'overview', piece: 'content', chapter: 'chapters', translation: 'overview' }[type],
+    params,
+    slug: null,
+    error: null,
+    usage: emptyUsage(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  if (type === 'book' || type === 'translation') {
+    Object.assign(job, { overview: null, outline: null, chapters: [], summaries: [] });
+  }
+  await saveJob(client, job);
+  runJob(client, job);
+  return job;
+}
+
+/**
+ * Cancels a queued or running job. Finished jobs are returned unchanged.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} id - The job id.
+ * @returns {Promise<Object|null>} The job, or null if it does not exist.
+ */
+async function cancelJob(client, id) {
+  const job = await loadJob(client, id);
+  if (!job) return null;
+  if (isFinished(job)) return job;
+  job.status = 'cancelled';
+  await saveJob(client, job);
+  publish(job.id, 'cancelled', { stage: job.stage });
+  return job;
+}
+
+/**
+ * Lists the most recently created jobs.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {number} [limit=50] - The maximum number of jobs.
+ * @returns {Promise<Array<Object>>} Job summaries, newest first.
+ */
+async function recentJobs(client, limit = 50) {
+  const keys = await client.keys('job:*');
+  const jobs = await Promise.all(keys.map(k => loadJob(client, k.slice('job:'.length))));
+  return jobs
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(summarizeJob);
+}
+
+/**
+ * Restarts every job left queued or running by a previous process, in every
+ * user workspace, each with the workspace it was created in.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @returns {Promise<number>} The number of resumed jobs.
+ */
+async function resumeJobs(client) {
+  const keys = [...await client.keys('job:*'), ...await client.keys('u:*:job:*')];
+  let resumed = 0;
+  for (const key of keys) {
+    const job = JSON.parse(await client.get(key));
+    if (isFinished(job) || active.has(job.id)) continue;
+    runJob(scopedClient(client, key.slice(0, key.indexOf('job:'))), job);
+    resumed++;
+  }
+  return resumed;
+}
+
+module.exports = {
+  JOB_TYPES,
+  CONTINUITY_MODES,
+  parseJobRequest,
+  createJob,
+  loadJob,
+  cancelJob,
+  resumeJobs,
+  recentJobs,
+  summarizeJob,
+  jobDraft,
+  isFinished,
+};
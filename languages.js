@@ -0,0 +1,67 @@
+/**
+ * Output languages. Requests select a language by its code (also written to
+ * exports such as the EPUB `dc:language`); the generators tell the model to
+ * write in it, and translation jobs render a stored book into another one.
+ * @module languages
+ */
+
+const LANGUAGES = {
+  en: 'English',
+  de: 'German',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  sv: 'Swedish',
+  cs: 'Czech',
+  tr: 'Turkish',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese (Simplified)',
+};
+
+/**
+ * Validates an optional language code from a request body.
+ * @param {*} value - The raw value.
+ * @returns {Object} { language } (undefined if absent), or { error }.
+ */
+function parseLanguage(value) {
+  if (value === undefined || value === null || value === '') return { language: undefined };
+  if (!Object.hasOwn(LANGUAGES, value)) {
+    return { error: `language must be one of ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+  return { language: value };
+}
+
+/**
+ * Returns the English name of a language.
+ * @param {string} [code] - The language code.
+ * @returns {string} The name, or an empty string if the code is unset or unknown.
+ */
+function languageName(code) {
+  return LANGUAGES[code] || '';
+}
+
+/**
+ * Builds the language requirement added to a system prompt.
+ * @param {string} [code] - The language code.
+ * @returns {string} The requirement, or an empty string if no language was chosen.
+ */
+function languageInstruction(code) {
+  if (!LANGUAGES[code]) return '';
+  return `\n\nLanguage: write all prose in ${LANGUAGES[code]}, whatever language the user's input is in. ` +
+    'Keep JSON keys, markdown syntax and code exactly as specified.';
+}
+
+module.exports = {
+  LANGUAGES,
+  parseLanguage,
+  languageName,
+  languageInstruction,
+};
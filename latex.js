@@ -0,0 +1,185 @@
+/**
+ * LaTeX manuscript export of stored books (book class, one \chapter per
+ * chapter), written directly from the markdown token stream. Books in Latin
+ * scripts compile with pdfLaTeX; Cyrillic, Arabic, Devanagari and CJK books
+ * get a XeLaTeX preamble with Noto fonts.
+ * @module latex
+ */
+const { lexMarkdown } = require('./markdown');
+const { bookTitle } = require('./books');
+
+const SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  $: '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '%': '\\%',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+// Languages pdfLaTeX's T1 encoding cannot typeset, with their XeLaTeX setup:
+// a polyglossia language and the font for its script, or a CJK main font
+const XELATEX_LANGUAGES = {
+  ru: { polyglossia: 'russian', family: 'cyrillicfont', font: 'Noto Serif', script: 'Cyrillic' },
+  uk: { polyglossia: 'ukrainian', family: 'cyrillicfont', font: 'Noto Serif', script: 'Cyrillic' },
+  ar: { polyglossia: 'arabic', family: 'arabicfont', font: 'Noto Naskh Arabic', script: 'Arabic' },
+  hi: { polyglossia: 'hindi', family: 'devanagarifont', font: 'Noto Serif Devanagari', script: 'Devanagari' },
+  ja: { cjkFont: 'Noto Serif CJK JP' },
+  ko: { cjkFont: 'Noto Serif CJK KR' },
+  zh: { cjkFont: 'Noto Serif CJK SC' },
+};
+
+/**
+ * Builds the font and language preamble for a book's language.
+ * @param {string} [language] - The book's language code.
+ * @returns {string} The preamble lines.
+ */
+function fontPreamble(language) {
+  const setup = Object.hasOwn(XELATEX_LANGUAGES, language || '') ? XELATEX_LANGUAGES[language] : null;
+  if (!setup) {
+    return '\\usepackage[utf8]{inputenc}\n\\usepackage[T1]{fontenc}\n\\usepackage{lmodern}';
+  }
+  const lines = ['% Compile with xelatex', '\\usepackage{fontspec}'];
+  if (setup.cjkFont) {
+    lines.push('\\usepackage{xeCJK}', `\\setCJKmainfont{${setup.cjkFont}}`);
+  } else {
+    lines.push(
+      '\\setmainfont{Noto Serif}',
+      '\\usepackage{polyglossia}',
+      `\\setdefaultlanguage{${setup.polyglossia}}`,
+      '\\setotherlanguage{english}',
+      `\\newfontfamily\\${setup.family}[Script=${setup.script}]{${setup.font}}`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Escapes LaTeX special characters in plain text.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeLatex(text) {
+  return text.replace(/[\\{}$&#%_~^]/g, ch => SPECIALS[ch]);
+}
+
+/**
+ * Renders inline markdown tokens as LaTeX.
+ * @param {Array<Object>} tokens - The inline tokens.
+ * @returns {string} The LaTeX fragment.
+ */
+function renderInline(tokens = []) {
+  return tokens.map(t => {
+    switch (t.type) {
+      case 'strong':
+        return `\\textbf{${renderInline(t.tokens)}}`;
+      case 'em':
+        return `\\emph{${renderInline(t.tokens)}}`;
+      case 'del':
+        return renderInline(t.tokens);
+      case 'codespan':
+        return `\\texttt{${escapeLatex(t.text)}}`;
+      case 'link':
+        return `\\href{${t.href.replace(/[\\{}%#]/g, ch => `\\${ch}`)}}{${renderInline(t.tokens)}}`;
+      case 'image':
+        return `[${escapeLatex(t.text)}]`;
+      case 'br':
+        return '\\\\\n';
+      case 'text':
+        return t.tokens ? renderInline(t.tokens) : escapeLatex(t.text);
+      default:
+        return escapeLatex(t.text || t.raw || '');
+    }
+  }).join('');
+}
+
+/**
+ * Renders block markdown tokens as LaTeX. Markdown headings inside a chapter
+ * become sections, since \chapter is reserved for the chapters themselves.
+ * @param {Array<Object>} tokens - The block tokens.
+ * @returns {string} The LaTeX fragment.
+ */
+function renderBlocks(tokens) {
+  const sectioning = ['section', 'section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph'];
+  return tokens.map(t => {
+    switch (t.type) {
+      case 'heading':
+        return `\\${sectioning[t.depth - 1]}*{${renderInline(t.tokens)}}\n`;
+      case 'paragraph':
+        return `${renderInline(t.tokens)}\n`;
+      case 'code':
+        return `\\begin{verbatim}\n${t.text.replace(/\\end\{verbatim\}/g, '\\end {verbatim}')}\n\\end{verbatim}\n`;
+      case 'blockquote':
+        return `\\begin{quote}\n${renderBlocks(t.tokens)}\\end{quote}\n`;
+      case 'list': {
+        const env = t.ordered ? 'enumerate' : 'itemize';
+        const items = t.items.map(item => `  \\item ${renderBlocks(item.tokens).trim()}`).join('\n');
+        return `\\begin{${env}}\n${items}\n\\end{${env}}\n`;
+      }
+      case 'table': {
+        const cols = t.header.map(() => 'l').join('');
+        const row = cells => `${cells.map(c => renderInline(c.tokens)).join(' & ')} \\\\`;
+        return [
+          `\\begin{tabular}{${cols}}`,
+          '\\hline',
+          row(t.header),
+          '\\hline',
+          ...t.rows.map(row),
+          '\\hline',
+          '\\end{tabular}\n',
+        ].join('\n');
+      }
+      case 'hr':
+        return '\\bigskip\\noindent\\hrulefill\\bigskip\n';
+      case 'text':
+        return `${t.tokens ? renderInline(t.tokens) : escapeLatex(t.text)}\n`;
+      case 'space':
+        return '';
+      default:
+        return `${escapeLatex(t.raw || '')}\n`;
+    }
+  }).join('\n');
+}
+
+/**
+ * Builds a LaTeX manuscript of a stored book. The overview becomes an
+ * unnumbered preface and each chapter opens with its synopsis.
+ * @param {Object} book - The book as returned by loadBook; `meta.language`
+ *   selects the preamble.
+ * @returns {string} The .tex source.
+ */
+function buildLatex(book) {
+  const { overview, outline, chapters, meta = {} } = book;
+  const title = bookTitle(outline);
+  return `\\documentclass[11pt]{book}
+${fontPreamble(meta.language)}
+\\usepackage{hyperref}
+
+\\title{${escapeLatex(title)}}
+\\date{}
+
+\\begin{document}
+\\frontmatter
+\\maketitle
+\\tableofcontents
+
+\\chapter*{Overview}
+${renderBlocks(lexMarkdown(overview))}
+\\mainmatter
+${outline.map((ch, i) => `
+\\chapter{${escapeLatex(ch.title)}}
+
+\\emph{${escapeLatex(ch.synopsis)}}
+
+${renderBlocks(lexMarkdown(chapters[i]))}`).join('')}
+\\end{document}
+`;
+}
+
+module.exports = {
+  buildLatex,
+};
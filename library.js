@@ -0,0 +1,153 @@
+/**
+ * Inventory of stored books and universal pieces, built from their metadata
+ * records (`book-meta:<slug>`, `content-meta:<slug>`). Works stored before
+ * records carried titles and counts are described from their stored text.
+ * @module library
+ */
+const { loadBook, bookTitle, pieceTitle } = require('./books');
+const { countWords } = require('./utils');
+
+const WORK_TYPES = ['book', 'piece'];
+
+const SORT_FIELDS = ['updatedAt', 'createdAt', 'title', 'words', 'chapters', 'type'];
+
+/**
+ * Reads a metadata record, tolerating missing or malformed values.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} key - The record key.
+ * @returns {Promise<Object>} The record, or an empty object.
+ */
+async function readRecord(client, key) {
+  try {
+    return JSON.parse(await client.get(key)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Builds the library entry of a stored book.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The book slug.
+ * @returns {Promise<Object|null>} The entry, or null if the book cannot be loaded.
+ */
+async function describeBook(client, slug) {
+  const meta = await readRecord(client, `book-meta:${slug}`);
+  let { title, chapters, words } = meta;
+  if (!title || chapters === undefined || words === undefined) {
+    const book = await loadBook(client, slug);
+    if (!book) return null;
+    title = bookTitle(book.outline);
+    chapters = book.outline.length;
+    words = countWords(await client.get(`book-full:${slug}`) || '');
+  }
+  return {
+    type: 'book',
+    slug,
+    title,
+    keywords: meta.keywords || null,
+    chapters,
+    words,
+    profile: meta.profile?.name || null,
+    createdAt: meta.createdAt || null,
+    updatedAt: meta.updatedAt || meta.createdAt || null,
+  };
+}
+
+/**
+ * Builds the library entry of a stored universal piece.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} slug - The piece slug.
+ * @returns {Promise<Object|null>} The entry, or null if the piece has no content.
+ */
+async function describePiece(client, slug) {
+  const meta = await readRecord(client, `content-meta:${slug}`);
+  let { title, words } = meta;
+  if (!title || words === undefined) {
+    const [overview, content] = await Promise.all([
+      client.get(`overview:${slug}`),
+      client.get(`content:${slug}`),
+    ]);
+    if (content === null) return null;
+    title = overview ? pieceTitle(overview) : slug;
+    words = countWords(content);
+  }
+  return {
+    type: 'piece',
+    slug,
+    title,
+    keywords: null,
+    chapters: null,
+    words,
+    profile: meta.profile?.name || null,
+    createdAt: meta.createdAt || null,
+    updatedAt: meta.updatedAt || meta.createdAt || null,
+  };
+}
+
+/**
+ * Keeps the listing options of a query string that are single strings; a
+ * repeated parameter (`?q=a&q=b`) arrives as an array and is ignored.
+ * @param {Object} [query={}] - The parsed query string.
+ * @returns {Object} { type, q, profile, sort, order }, each a string or undefined.
+ */
+function libraryQuery(query = {}) {
+  const pick = value => (typeof value === 'string' ? value : undefined);
+  return {
+    type: pick(query.type),
+    q: pick(query.q),
+    profile: pick(query.profile),
+    sort: pick(query.sort),
+    order: pick(query.order),
+  };
+}
+
+/**
+ * Lists stored works with their metadata.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} [opts={}] - Listing options.
+ * @param {string} [opts.type] - Only list this type ("book" or "piece").
+ * @param {string} [opts.q] - Case-insensitive text matched against title, slug and keywords.
+ * @param {string} [opts.profile] - Only list works generated with this profile.
+ * @param {string} [opts.sort='updatedAt'] - One of SORT_FIELDS.
+ * @param {string} [opts.order] - "asc" or "desc"; text fields default to ascending,
+ *   numbers and dates to descending.
+ * @returns {Promise<Array<Object>>} The entries.
+ */
+async function listWorks(client, opts = {}) {
+  const { type, q, profile, sort = 'updatedAt', order } = libraryQuery(opts);
+  const [bookKeys, pieceKeys] = await Promise.all([
+    type === 'piece' ? [] : client.keys('book-full:*'),
+    type === 'book' ? [] : client.keys('content:*'),
+  ]);
+  const entries = (await Promise.all([
+    ...bookKeys.map(k => describeBook(client, k.slice('book-full:'.length))),
+    ...pieceKeys.map(k => describePiece(client, k.slice('content:'.length))),
+  ])).filter(Boolean);
+
+  const needle = q?.trim().toLowerCase();
+  const filtered = entries.filter(e =>
+    (!profile || e.profile === profile) &&
+    (!needle || [e.title, e.slug, e.keywords].some(v => v?.toLowerCase().includes(needle)))
+  );
+
+  const field = SORT_FIELDS.includes(sort) ? sort : 'updatedAt';
+  const textual = field === 'title' || field === 'type';
+  const dir = (order || (textual ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  return filtered.sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    // Entries without the field (e.g. legacy timestamps) always sort last
+    if (x === y) return a.slug.localeCompare(b.slug);
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    return (textual ? String(x).localeCompare(String(y)) : x < y ? -1 : 1) * dir;
+  });
+}
+
+module.exports = {
+  WORK_TYPES,
+  SORT_FIELDS,
+  libraryQuery,
+  listWorks,
+};
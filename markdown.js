@@ -0,0 +1,85 @@
+/**
+ * Markdown rendering shared by the book viewers and exporters. Raw HTML in
+ * generated text is shown escaped rather than passed through, and links and
+ * images keep only http(s), mailto and relative URLs.
+ * @module markdown
+ */
+const { Marked } = require('marked');
+const { escapeHtml } = require('./utils');
+
+/**
+ * Whether a link or image URL is safe to emit: http(s), mailto or relative.
+ * Browsers ignore control characters and spaces inside a scheme, so those are
+ * dropped before checking it.
+ * @param {string} href - The URL.
+ * @returns {boolean} True if the URL may be emitted.
+ */
+function safeUrl(href) {
+  const url = String(href || '').replace(/[\u0000-\u0020]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Builds an optional title attribute.
+ * @param {string} [title] - The title.
+ * @returns {string} The attribute with a leading space, or an empty string.
+ */
+function titleAttr(title) {
+  return title ? ` title="${escapeHtml(title)}"` : '';
+}
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      return safeUrl(href) ? `<a href="${escapeHtml(href)}"${titleAttr(title)}>${text}</a>` : text;
+    },
+    image({ href, title, text }) {
+      return safeUrl(href)
+        ? `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttr(title)}>`
+        : escapeHtml(text);
+    },
+  },
+});
+
+const XML_ENTITIES = ['amp', 'lt', 'gt', 'quot', 'apos'];
+
+/**
+ * Renders markdown to an HTML fragment.
+ * @param {string} md - The markdown source.
+ * @returns {string} The HTML.
+ */
+function renderHtml(md) {
+  return marked.parse(md || '');
+}
+
+/**
+ * Renders markdown to a well-formed XHTML fragment (void elements closed,
+ * only XML's predefined named entities), as EPUB content documents require.
+ * @param {string} md - The markdown source.
+ * @returns {string} The XHTML.
+ */
+function renderXhtml(md) {
+  return renderHtml(md)
+    .replace(/<(br|hr|img|input|col|wbr)\b([^>]*?)\s*\/?>/g, '<$1$2 />')
+    .replace(/&([a-zA-Z][a-zA-Z0-9]*);/g, (m, name) => (XML_ENTITIES.includes(name) ? m : `&amp;${name};`));
+}
+
+/**
+ * Splits markdown into marked's block tokens, for exporters that walk the
+ * document structure themselves.
+ * @param {string} md - The markdown source.
+ * @returns {Array<Object>} The token list.
+ */
+function lexMarkdown(md) {
+  return marked.lexer(md || '');
+}
+
+module.exports = {
+  renderHtml,
+  renderXhtml,
+  lexMarkdown,
+};
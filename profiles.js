@@ -0,0 +1,118 @@
+/**
+ * Named generation profiles. A profile sets the model, sampling parameters,
+ * token limit and retry policy for each pipeline stage, and for the long-form
+ * stages the target length (`targetWords`, 0 to disable) and how many
+ * continuation requests may be issued to reach it (`maxContinuations`). Extra profiles (or
+ * overrides of the built-in ones) can be supplied as JSON in the
+ * `GENERATION_PROFILES` environment variable, using the same shape.
+ * @module profiles
+ */
+
+/**
+ * Pipeline stages a profile configures.
+ */
+const STAGES = ['content', 'overview', 'outline', 'chapter', 'summary'];
+
+const DEFAULT_PROFILE = process.env.DEFAULT_PROFILE || 'quality';
+
+// `model: null` means the provider's default model.
+const BUILT_IN = {
+  quality: {
+    description: 'Full-length output with the original generation settings.',
+    content: { model: null, temperature: 0.25, topP: 1, maxTokens: 8000, retries: 6, backoffMs: 1000, targetWords: 5000, maxContinuations: 3 },
+    overview: { model: null, temperature: 0.4, topP: 1, maxTokens: 600, retries: 6, backoffMs: 1000 },
+    outline: { model: null, temperature: 0.3, topP: 1, maxTokens: 1200, retries: 6, backoffMs: 1000 },
+    chapter: { model: null, temperature: 0.25, topP: 1, maxTokens: 8000, retries: 6, backoffMs: 1000, targetWords: 5000, maxContinuations: 3 },
+    summary: { model: null, temperature: 0.2, topP: 1, maxTokens: 400, retries: 6, backoffMs: 1000 },
+  },
+  draft: {
+    description: 'Shorter, looser drafts for iterating on an idea quickly.',
+    content: { model: null, temperature: 0.7, topP: 0.95, maxTokens: 4000, retries: 3, backoffMs: 1000, targetWords: 2000, maxContinuations: 1 },
+    overview: { model: null, temperature: 0.8, topP: 0.95, maxTokens: 500, retries: 3, backoffMs: 1000 },
+    outline: { model: null, temperature: 0.5, topP: 0.95, maxTokens: 1200, retries: 3, backoffMs: 1000 },
+    chapter: { model: null, temperature: 0.7, topP: 0.95, maxTokens: 4000, retries: 3, backoffMs: 1000, targetWords: 2000, maxContinuations: 1 },
+    summary: { model: null, temperature: 0.2, topP: 0.95, maxTokens: 300, retries: 3, backoffMs: 1000 },
+  },
+  cheap: {
+    description: 'Minimal token spend; fails fast instead of retrying.',
+    content: { model: null, temperature: 0.3, topP: 0.9, maxTokens: 2500, retries: 2, backoffMs: 500, targetWords: 0, maxContinuations: 1 },
+    overview: { model: null, temperature: 0.4, topP: 0.9, maxTokens: 400, retries: 2, backoffMs: 500 },
+    outline: { model: null, temperature: 0.3, topP: 0.9, maxTokens: 1000, retries: 2, backoffMs: 500 },
+    chapter: { model: null, temperature: 0.3, topP: 0.9, maxTokens: 2500, retries: 2, backoffMs: 500, targetWords: 0, maxContinuations: 1 },
+    summary: { model: null, temperature: 0.2, topP: 0.9, maxTokens: 250, retries: 2, backoffMs: 500 },
+  },
+};
+
+/**
+ * Merges the built-in profiles with any supplied through the environment.
+ * @returns {Object} Profiles keyed by name.
+ */
+function loadProfiles() {
+  const profiles = JSON.parse(JSON.stringify(BUILT_IN));
+  if (!process.env.GENERATION_PROFILES) return profiles;
+  try {
+    const extra = JSON.parse(process.env.GENERATION_PROFILES);
+    for (const [name, profile] of Object.entries(extra)) {
+      const base = (Object.hasOwn(profiles, name) && profiles[name]) || profiles[DEFAULT_PROFILE] || profiles.quality;
+      profiles[name] = { description: profile.description || base.description };
+      STAGES.forEach(stage => {
+        profiles[name][stage] = { ...base[stage], ...profile[stage] };
+      });
+    }
+  } catch (e) {
+    console.error('Ignoring invalid GENERATION_PROFILES:', e.message);
+  }
+  return profiles;
+}
+
+const profiles = loadProfiles();
+
+/**
+ * Lists the available profile names, default profile first.
+ * @returns {Array<string>} The profile names.
+ */
+function profileNames() {
+  const names = Object.keys(profiles);
+  return names.includes(DEFAULT_PROFILE)
+    ? [DEFAULT_PROFILE, ...names.filter(n => n !== DEFAULT_PROFILE)]
+    : names;
+}
+
+/**
+ * Looks up a profile by name, falling back to the default profile.
+ * @param {string} [name] - The profile name.
+ * @returns {Object|null} The profile with its name, or null if the name is unknown.
+ */
+function getProfile(name) {
+  const key = name || DEFAULT_PROFILE;
+  return Object.hasOwn(profiles, key) ? { name: key, ...profiles[key] } : null;
+}
+
+/**
+ * Returns the generation settings of one stage of a profile.
+ * @param {string} [name] - The profile name; the default profile if omitted.
+ * @param {string} stage - One of STAGES.
+ * @returns {Object} The stage settings.
+ */
+function stageSettings(name, stage) {
+  return (getProfile(name) || getProfile())[stage];
+}
+
+/**
+ * Validates an optional generation profile name from a request body.
+ * @param {string} [profile] - The requested profile name.
+ * @returns {string|null} An error message, or null if the profile is usable.
+ */
+function profileError(profile) {
+  if (!profile || getProfile(profile)) return null;
+  return `unknown profile "${profile}" (available: ${profileNames().join(', ')})`;
+}
+
+module.exports = {
+  STAGES,
+  DEFAULT_PROFILE,
+  profileNames,
+  getProfile,
+  profileError,
+  stageSettings,
+};
@@ -0,0 +1,278 @@
+/**
+ * Pluggable LLM providers behind callDeepSeek. A provider is an object with a
+ * `name`, a default `model` and a `complete(body, opts)` method that performs
+ * a single chat-completion attempt and resolves to
+ * `{ content, finishReason, usage }` (or throws).
+ *
+ * Selected with environment variables:
+ * - `LLM_PROVIDER` – "deepseek" (the default, which needs `DEEPSEEK_API_KEY`),
+ *   "openai" (any OpenAI-compatible server such as Ollama or llama.cpp) or
+ *   "mock". The offline mock is only used when selected explicitly, so a
+ *   missing key never turns into placeholder books.
+ * - `LLM_BASE_URL`, `LLM_API_KEY`, `LLM_MODEL` – endpoint, key and model for
+ *   the "openai" provider (`LLM_MODEL` also overrides the DeepSeek model).
+ * - `LLM_STREAM_IDLE_MS`, `LLM_REQUEST_DEADLINE_MS` – how long a streamed
+ *   response may go without data (60 s by default) and how long any request
+ *   may take in all (10 minutes by default) before it is abandoned.
+ * @module providers
+ */
+const axios = require('axios');
+
+const STREAM_IDLE_MS = parseInt(process.env.LLM_STREAM_IDLE_MS, 10) || 60000;
+const REQUEST_DEADLINE_MS = parseInt(process.env.LLM_REQUEST_DEADLINE_MS, 10) || 600000;
+
+/* ---------- OpenAI-compatible ---------- */
+
+/**
+ * Reads a streamed chat completion (`stream: true`), which arrives as SSE
+ * `data:` lines carrying JSON delta chunks and ends with `data: [DONE]`.
+ * The request's timeout only covers the wait for the response headers, so a
+ * stream that stalls afterwards is destroyed by an idle timer or by the
+ * request's deadline.
+ * @param {stream.Readable} body - The raw response stream.
+ * @param {Function} onToken - Called with each text delta.
+ * @param {Object} [opts={}] - Stream options.
+ * @param {number} [opts.idleMs=STREAM_IDLE_MS] - The longest wait for the next chunk.
+ * @param {AbortSignal} [opts.signal] - Aborts the read with the signal's reason.
+ * @returns {Promise<Object>} The completion as { content, finishReason, usage }.
+ */
+async function readCompletionStream(body, onToken, { idleMs = STREAM_IDLE_MS, signal } = {}) {
+  let buffer = '';
+  const result = { content: '', finishReason: null, usage: null };
+  let idle = null;
+  const resetIdle = () => {
+    clearTimeout(idle);
+    idle = setTimeout(() => body.destroy(new Error(`stream stalled: no data for ${idleMs} ms`)), idleMs);
+  };
+  const onAbort = () => body.destroy(signal.reason instanceof Error ? signal.reason : new Error('request aborted'));
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  body.setEncoding('utf8');
+  resetIdle();
+  try {
+    for await (const chunk of body) {
+      resetIdle();
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return result;
+        const data = JSON.parse(payload);
+        const choice = data.choices?.[0];
+        if (data.usage) result.usage = data.usage;
+        if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+        if (choice?.delta?.content) {
+          result.content += choice.delta.content;
+          onToken(choice.delta.content);
+        }
+      }
+    }
+  } finally {
+    clearTimeout(idle);
+    signal?.removeEventListener('abort', onAbort);
+  }
+  return result;
+}
+
+/**
+ * Creates a provider for any server implementing the OpenAI chat-completions API.
+ * @param {Object} config - The provider configuration.
+ * @param {string} config.name - The provider name, used in logs.
+ * @param {string} config.baseUrl - The API base URL, e.g. "http://localhost:11434/v1".
+ * @param {string} [config.apiKey] - The bearer token, if the server requires one.
+ * @param {string} config.model - The default model name.
+ * @param {number} [config.timeout=90000] - How long to wait for the response headers, in milliseconds.
+ * @param {number} [config.idleTimeout=STREAM_IDLE_MS] - How long a streamed response may go without data.
+ * @param {number} [config.deadline=REQUEST_DEADLINE_MS] - How long a request may take in all.
+ * @returns {Object} The provider.
+ */
+function createOpenAIProvider({
+  name,
+  baseUrl,
+  apiKey,
+  model,
+  timeout = 90000,
+  idleTimeout = STREAM_IDLE_MS,
+  deadline = REQUEST_DEADLINE_MS,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  return {
+    name,
+    model,
+    async complete(body, opts = {}) {
+      const stream = Boolean(opts.onToken);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new Error(`request exceeded its ${deadline} ms deadline`)), deadline);
+      try {
+        const { data } = await axios.post(
+          url,
+          // include_usage asks for a final chunk carrying the usage block when streaming
+          { ...body, model: body.model || model, stream, ...(stream && { stream_options: { include_usage: true } }) },
+          { headers, timeout, signal: controller.signal, responseType: stream ? 'stream' : 'json' }
+        );
+        if (stream) {
+          return await readCompletionStream(data, opts.onToken, { idleMs: idleTimeout, signal: controller.signal });
+        }
+        const choice = data.choices[0];
+        return {
+          content: choice?.message?.content || '',
+          finishReason: choice?.finish_reason || null,
+          usage: data.usage || null,
+        };
+      } catch (e) {
+        // Report the deadline rather than axios's generic cancellation
+        throw controller.signal.aborted ? controller.signal.reason : e;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/* ---------- Mock ---------- */
+
+const MOCK_PARAGRAPH =
+  'This is placeholder text from the offline mock provider. It stands in for a real completion ' +
+  'so every route can be exercised without network access or an API key.';
+
+/**
+ * Builds a canned JSON outline with the number of chapters the prompt asks for.
+ * @param {string} prompt - The prompt text.
+ * @returns {string} The outline as raw JSON.
+ */
+function mockOutline(prompt) {
+  const count = parseInt((prompt.match(/exactly (\d+)/) || [])[1], 10) || 3;
+  return JSON.stringify(
+    Array.from({ length: count }, (_, i) => ({
+      title: `Mock Book – Chapter ${i + 1}`,
+      synopsis: `Chapter ${i + 1} of the mock book. It exists so the pipeline can run offline.`,
+    })),
+    null,
+    2
+  );
+}
+
+/**
+ * Builds canned markdown that echoes the first line of the (first) user message.
+ * @param {string} user - The user message.
+ * @returns {string} The markdown text.
+ */
+function mockMarkdown(user) {
+  const topic = user.split('\n').find(l => l.trim()) || 'Untitled';
+  return [
+    `## ${topic.trim().slice(0, 80)}`,
+    MOCK_PARAGRAPH,
+    '### Key points',
+    '- First point\n- Second point\n- Third point',
+    '```js\nconsole.log(\'mock\');\n```',
+    MOCK_PARAGRAPH,
+  ].join('\n\n');
+}
+
+/**
+ * Creates the deterministic offline provider. It returns a JSON outline when
+ * the system prompt or the request asks for a JSON array and canned markdown
+ * otherwise.
+ * @returns {Object} The provider.
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete(body, opts = {}) {
+      const system = body.messages.find(m => m.role === 'system')?.content || '';
+      const user = body.messages.find(m => m.role === 'user')?.content || '';
+      // Continuation requests carry the text so far as an assistant message
+      const soFar = body.messages.find(m => m.role === 'assistant')?.content;
+      const prompt = `${system}\n${user}`;
+      let content = /JSON array/.test(prompt) ? mockOutline(prompt) : mockMarkdown(user);
+      if (soFar) {
+        const part = (soFar.match(/^## Continued/gm) || []).length + 2;
+        content = `\n\n## Continued (part ${part})\n\n${MOCK_PARAGRAPH}`;
+      }
+      if (opts.onToken) {
+        content.split(/(?<=\s)/).forEach(word => opts.onToken(word));
+      }
+      const promptTokens = Math.ceil(body.messages.reduce((n, m) => n + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        finishReason: 'stop',
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens,
+        },
+      };
+    },
+  };
+}
+
+/* ---------- Registry ---------- */
+
+const factories = {
+  deepseek: () => {
+    if (!process.env.DEEPSEEK_API_KEY) {
+      console.error('🚨 Missing DEEPSEEK_API_KEY.');
+      process.exit(1);
+    }
+    return createOpenAIProvider({
+      name: 'deepseek',
+      baseUrl: 'https://api.deepseek.com/v1',
+      apiKey: process.env.DEEPSEEK_API_KEY,
+      model: process.env.LLM_MODEL || 'deepseek-chat',
+    });
+  },
+  openai: () => {
+    if (!process.env.LLM_BASE_URL || !process.env.LLM_MODEL) {
+      console.error('🚨 LLM_PROVIDER=openai needs LLM_BASE_URL and LLM_MODEL.');
+      process.exit(1);
+    }
+    return createOpenAIProvider({
+      name: 'openai',
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      model: process.env.LLM_MODEL,
+    });
+  },
+  mock: createMockProvider,
+};
+
+let current = null;
+
+/**
+ * Registers an additional provider factory under a name usable in `LLM_PROVIDER`.
+ * @param {string} name - The provider name.
+ * @param {Function} factory - Returns the provider object.
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Returns the configured provider, creating it on first use.
+ * @returns {Object} The provider.
+ */
+function getProvider() {
+  if (current) return current;
+  const name = process.env.LLM_PROVIDER || 'deepseek';
+  if (!factories[name]) {
+    console.error(`🚨 Unknown LLM_PROVIDER "${name}". Available: ${Object.keys(factories).join(', ')}`);
+    process.exit(1);
+  }
+  current = factories[name]();
+  return current;
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createMockProvider,
+  registerProvider,
+  getProvider,
+};
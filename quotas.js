@@ -0,0 +1,82 @@
+/**
+ * Per-client request quotas for the generation routes. Each user (or, with
+ * authentication disabled, each IP address) may start `GENERATION_QUOTA`
+ * generation requests or jobs per `GENERATION_QUOTA_WINDOW_MS` (60 per hour by
+ * default; 0 disables the quota). A batch counts once per brief it runs.
+ * Counts are kept in memory per process.
+ * @module quotas
+ */
+const { authEnabled } = require('./auth');
+
+const LIMIT = Math.max(0, parseInt(process.env.GENERATION_QUOTA ?? '60', 10) || 0);
+const WINDOW_MS = parseInt(process.env.GENERATION_QUOTA_WINDOW_MS, 10) || 3600000;
+
+// Fixed windows keyed by client: { start, count }
+const windows = new Map();
+
+/**
+ * Identifies the client a quota applies to.
+ * @param {Express.Request} req - The request.
+ * @returns {string} The user id, or the IP address without authentication.
+ */
+function clientId(req) {
+  return authEnabled() ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Drops the windows that have ended.
+ * @param {number} now - The current time in milliseconds.
+ */
+function prune(now) {
+  for (const [id, w] of windows) {
+    if (now - w.start >= WINDOW_MS) windows.delete(id);
+  }
+}
+
+/**
+ * Counts generation requests against a client's quota, or answers 429, with
+ * `Retry-After`, if the quota does not have room for all of them.
+ * @param {Express.Request} req - The request.
+ * @param {Express.Response} res - The response.
+ * @param {number} [units=1] - The number of generation requests to count.
+ * @returns {boolean} True if the requests were counted; false if the 429 was sent.
+ */
+function takeQuota(req, res, units = 1) {
+  if (!LIMIT) return true;
+  const now = Date.now();
+  if (windows.size > 1000) prune(now);
+  const id = clientId(req);
+  let w = windows.get(id);
+  if (!w || now - w.start >= WINDOW_MS) {
+    w = { start: now, count: 0 };
+    windows.set(id, w);
+  }
+  res.set('X-RateLimit-Limit', String(LIMIT));
+  if (w.count + units > LIMIT) {
+    const left = LIMIT - w.count;
+    res.set('X-RateLimit-Remaining', String(left));
+    res.set('Retry-After', String(Math.ceil((w.start + WINDOW_MS - now) / 1000)));
+    const quota = `generation quota of ${LIMIT} requests per ${Math.round(WINDOW_MS / 60000)} minutes`;
+    res.status(429).json({ error: units > 1 ? `${quota} has ${left} left, ${units} needed` : `${quota} used up` });
+    return false;
+  }
+  w.count += units;
+  res.set('X-RateLimit-Remaining', String(LIMIT - w.count));
+  return true;
+}
+
+/**
+ * Middleware that counts a generation request against its client's quota and
+ * answers 429, with `Retry-After`, once the quota is used up.
+ * @param {Express.Request} req - The request.
+ * @param {Express.Response} res - The response.
+ * @param {Function} next - The next handler.
+ */
+function generationQuota(req, res, next) {
+  if (takeQuota(req, res)) next();
+}
+
+module.exports = {
+  takeQuota,
+  generationQuota,
+};
@@ -0,0 +1,167 @@
+/**
+ * Data access for the administrators' Redis browser. Keys are listed with
+ * cursor-based SCAN rather than KEYS, so a page never blocks the server, and
+ * are described according to their type (string, hash, list, set or sorted
+ * set) with TTL and memory usage. Bulk deletion also walks the key space with
+ * SCAN and can be run as a dry run that only counts.
+ * @module redisBrowser
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const PREVIEW_LENGTH = 120;
+const PREVIEW_ITEMS = 5;
+const DELETE_BATCH = 500;
+
+/**
+ * Turns a prefix into a SCAN pattern that matches it literally.
+ * @param {string} prefix - The key prefix.
+ * @returns {string} The glob pattern.
+ */
+function prefixPattern(prefix) {
+  return `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+}
+
+/**
+ * Shortens a value to a one-line preview.
+ * @param {string} text - The value.
+ * @returns {string} The preview.
+ */
+function previewText(text) {
+  const line = String(text).replace(/\s+/g, ' ');
+  return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH)}…` : line;
+}
+
+/**
+ * Reads the size and a preview of a key according to its type.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} key - The key.
+ * @param {string} type - The key's type.
+ * @returns {Promise<Object>} { size, preview }: the length in characters or
+ *   elements (null for other types) and a one-line preview.
+ */
+async function describeValue(client, key, type) {
+  switch (type) {
+    case 'string': {
+      const [size, head] = await Promise.all([client.strLen(key), client.getRange(key, 0, PREVIEW_LENGTH)]);
+      return { size, preview: previewText(head) };
+    }
+    case 'hash': {
+      const [size, { tuples }] = await Promise.all([client.hLen(key), client.hScan(key, 0, { COUNT: PREVIEW_ITEMS })]);
+      return { size, preview: previewText(tuples.slice(0, PREVIEW_ITEMS).map(t => `${t.field}=${t.value}`).join(', ')) };
+    }
+    case 'list': {
+      const [size, items] = await Promise.all([client.lLen(key), client.lRange(key, 0, PREVIEW_ITEMS - 1)]);
+      return { size, preview: previewText(items.join(', ')) };
+    }
+    case 'set': {
+      const [size, { members }] = await Promise.all([client.sCard(key), client.sScan(key, 0, { COUNT: PREVIEW_ITEMS })]);
+      return { size, preview: previewText(members.slice(0, PREVIEW_ITEMS).join(', ')) };
+    }
+    case 'zset': {
+      const [size, items] = await Promise.all([client.zCard(key), client.zRangeWithScores(key, 0, PREVIEW_ITEMS - 1)]);
+      return { size, preview: previewText(items.map(i => `${i.value} (${i.score})`).join(', ')) };
+    }
+    default:
+      return { size: null, preview: `(${type} value)` };
+  }
+}
+
+/**
+ * Describes a key: type, TTL, memory usage, size and preview.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} key - The key.
+ * @returns {Promise<Object|null>} { key, type, ttl, memory, size, preview }, or
+ *   null if the key no longer exists. `ttl` is null for keys without expiry;
+ *   `memory` is null where MEMORY USAGE is unavailable.
+ */
+async function describeKey(client, key) {
+  const type = await client.type(key);
+  if (type === 'none') return null;
+  const [ttl, memory, value] = await Promise.all([
+    client.ttl(key),
+    client.memoryUsage(key).catch(() => null),
+    describeValue(client, key, type),
+  ]);
+  return { key, type, ttl: ttl >= 0 ? ttl : null, memory, ...value };
+}
+
+/**
+ * Lists one page of keys with SCAN.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} [query={}] - Page options.
+ * @param {number|string} [query.cursor=0] - The cursor returned with the previous page.
+ * @param {string} [query.match] - A glob pattern the keys must match.
+ * @param {string} [query.prefix] - A literal key prefix; used when no pattern is given.
+ * @param {number|string} [query.count=100] - The approximate page size.
+ * @returns {Promise<Object>} { cursor, match, keys }: the cursor of the next page
+ *   (0 when the scan is complete), the pattern used and the described keys.
+ */
+async function scanPage(client, query = {}) {
+  const match = query.match || (query.prefix ? prefixPattern(query.prefix) : '*');
+  const count = Math.min(Math.max(parseInt(query.count, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let cursor = Math.max(parseInt(query.cursor, 10) || 0, 0);
+  const keys = [];
+  // SCAN may return fewer keys than asked for, or none, per call
+  do {
+    const reply = await client.scan(cursor, { MATCH: match, COUNT: count });
+    cursor = reply.cursor;
+    keys.push(...reply.keys);
+  } while (cursor !== 0 && keys.length < count);
+  const described = await Promise.all(keys.sort().map(k => describeKey(client, k)));
+  return { cursor, match, keys: described.filter(Boolean) };
+}
+
+/**
+ * Reads the full value of a key.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} key - The key.
+ * @returns {Promise<Object|null>} { key, type, ttl, memory, size, value }, or null
+ *   if the key does not exist. Hashes are returned as objects, lists and sets
+ *   as arrays, sorted sets as `{ value, score }` arrays.
+ */
+async function readKey(client, key) {
+  const info = await describeKey(client, key);
+  if (!info) return null;
+  const readers = {
+    string: () => client.get(key),
+    hash: () => client.hGetAll(key),
+    list: () => client.lRange(key, 0, -1),
+    set: () => client.sMembers(key),
+    zset: () => client.zRangeWithScores(key, 0, -1),
+  };
+  const { preview, ...rest } = info;
+  return { ...rest, value: readers[info.type] ? await readers[info.type]() : null };
+}
+
+/**
+ * Deletes every key matching a pattern, or only counts them in a dry run.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} pattern - The glob pattern.
+ * @param {Object} [opts={}] - Options.
+ * @param {boolean} [opts.dryRun=false] - Count the matching keys without deleting them.
+ * @returns {Promise<Object>} { pattern, matched, deleted, sample }: the number of
+ *   matching and of deleted keys, and the first few matching keys. SCAN may
+ *   report a key twice while Redis resizes its table, so `matched` is an upper bound.
+ */
+async function deleteMatching(client, pattern, { dryRun = false } = {}) {
+  let cursor = 0;
+  let matched = 0;
+  let deleted = 0;
+  const sample = [];
+  do {
+    const reply = await client.scan(cursor, { MATCH: pattern, COUNT: DELETE_BATCH });
+    cursor = reply.cursor;
+    matched += reply.keys.length;
+    sample.push(...reply.keys.slice(0, PREVIEW_ITEMS * 2 - sample.length));
+    if (!dryRun && reply.keys.length) deleted += await client.unlink(reply.keys);
+  } while (cursor !== 0);
+  return { pattern, matched, deleted, sample };
+}
+
+module.exports = {
+  scanPage,
+  describeKey,
+  readKey,
+  deleteMatching,
+};
@@ -0,0 +1,145 @@
+/**
+ * Revision history of stored works. Every write of a book or piece snapshots
+ * its parts under `<kind>-rev:<slug>:<n>`, with a JSON index of the revisions
+ * in `<kind>-revs:<slug>`, where kind is "book" or "content". The oldest
+ * revisions are pruned beyond `MAX_REVISIONS` (default 20).
+ * @module revisions
+ */
+
+const MAX_REVISIONS = parseInt(process.env.MAX_REVISIONS, 10) || 20;
+
+// Above this many cells the diff table gets too large; changed regions that
+// big are shown as a plain replacement instead.
+const MAX_DIFF_CELLS = 4e6;
+
+/**
+ * Builds the Redis key of one revision snapshot.
+ * @param {string} kind - "book" or "content".
+ * @param {string} slug - The work slug.
+ * @param {number} rev - The revision number.
+ * @returns {string} The Redis key.
+ */
+function revisionKey(kind, slug, rev) {
+  return `${kind}-rev:${slug}:${rev}`;
+}
+
+/**
+ * Lists the revisions of a work, oldest first.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} kind - "book" or "content".
+ * @param {string} slug - The work slug.
+ * @returns {Promise<Array<Object>>} Entries with rev, createdAt, note and words.
+ */
+async function listRevisions(client, kind, slug) {
+  const raw = await client.get(`${kind}-revs:${slug}`);
+  return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * Stores a new revision snapshot and prunes the oldest ones.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} kind - "book" or "content".
+ * @param {string} slug - The work slug.
+ * @param {Object} snapshot - The stored parts of the work.
+ * @param {Object} info - Index fields: note and words.
+ * @returns {Promise<number>} The new revision number.
+ */
+async function addRevision(client, kind, slug, snapshot, { note, words }) {
+  const revisions = await listRevisions(client, kind, slug);
+  const rev = revisions.length ? revisions[revisions.length - 1].rev + 1 : 1;
+  await client.set(revisionKey(kind, slug, rev), JSON.stringify(snapshot));
+  revisions.push({ rev, createdAt: new Date().toISOString(), note: note || null, words });
+  const pruned = revisions.splice(0, Math.max(0, revisions.length - MAX_REVISIONS));
+  if (pruned.length) await client.del(pruned.map(r => revisionKey(kind, slug, r.rev)));
+  await client.set(`${kind}-revs:${slug}`, JSON.stringify(revisions));
+  return rev;
+}
+
+/**
+ * Loads one revision snapshot.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} kind - "book" or "content".
+ * @param {string} slug - The work slug.
+ * @param {number} rev - The revision number.
+ * @returns {Promise<Object|null>} The snapshot, or null if it does not exist.
+ */
+async function loadRevision(client, kind, slug, rev) {
+  const raw = await client.get(revisionKey(kind, slug, rev));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Lists the keys holding a work's revision history, for deletion.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} kind - "book" or "content".
+ * @param {string} slug - The work slug.
+ * @returns {Promise<Array<string>>} The keys.
+ */
+async function revisionKeys(client, kind, slug) {
+  return [`${kind}-revs:${slug}`, ...(await client.keys(`${kind}-rev:${slug}:*`))];
+}
+
+/**
+ * Computes a line diff between two texts. Common leading and trailing lines
+ * are matched directly and the rest by longest common subsequence.
+ * @param {string} before - The old text.
+ * @param {string} after - The new text.
+ * @returns {Array<Object>} Operations `{ op, text }` with op "equal", "remove" or "add".
+ */
+function lineDiff(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(text => ({ op: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    midA.forEach(text => ops.push({ op: 'remove', text }));
+    midB.forEach(text => ops.push({ op: 'add', text }));
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        ops.push({ op: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+        ops.push({ op: 'remove', text: midA[i++] });
+      } else {
+        ops.push({ op: 'add', text: midB[j++] });
+      }
+    }
+  }
+
+  a.slice(endA).forEach(text => ops.push({ op: 'equal', text }));
+  return ops;
+}
+
+module.exports = {
+  listRevisions,
+  addRevision,
+  loadRevision,
+  revisionKeys,
+  lineDiff,
+};
@@ -2,42 +2,354 @@
  * Contains all the Express route definitions.
  * @module routes
  */
-const slugify = require('slugify');
+const fs = require('fs');
+const express = require('express');
 const {
   generateContent,
   generateBookOverview,
   generateChapterOutline,
   generateChapter,
+  summarizeChapter,
 } = require('./services');
 const {
   buildUniversalPage,
   buildKeywordPage,
   buildRedisPage,
+  buildBookPage,
+  buildLibraryPage,
+  buildPiecePage,
+  buildRevisionsPage,
+  buildUsagePage,
+  buildPromptsPage,
+  buildPromptEditorPage,
+  buildLoginPage,
 } = require('./htmlBuilders');
+const {
+  bookSlug,
+  claimSlug,
+  releaseSlug,
+  storeBook,
+  loadBook,
+  deleteBook,
+  pieceSlug,
+  pieceTitle,
+  storePiece,
+  deletePiece,
+  workRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require('./books');
+const { WORK_TYPES, libraryQuery, listWorks } = require('./library');
+const { buildEpub } = require('./epub');
+const { buildLatex } = require('./latex');
+const { buildDocx } = require('./docx');
+const {
+  parseJobRequest,
+  createJob,
+  loadJob,
+  cancelJob,
+  summarizeJob,
+  jobDraft,
+  isFinished,
+  recentJobs,
+} = require('./jobs');
+const { streamJobEvents } = require('./events');
+const { profileNames, getProfile, profileError } = require('./profiles');
+const { parseTargetWords, parseTokenBudget, parseFlag, validateOutline } = require('./utils');
+const { emptyUsage, addUsage, recordUsage, usageReport } = require('./usage');
+const {
+  TEMPLATE_STAGES,
+  PLACEHOLDERS,
+  stagePlaceholders,
+  getTemplate,
+  listTemplates,
+  saveTemplate,
+  resolveTemplates,
+  previewTemplate,
+} = require('./templates');
+const { STYLE_OPTIONS, parseStyle } = require('./style');
+const { LANGUAGES, parseLanguage } = require('./languages');
+const {
+  authEnabled,
+  workspacePrefix,
+  scopedClient,
+  createUser,
+  issueKey,
+  getUser,
+  listUsers,
+  deleteUser,
+  userForKey,
+  authenticate,
+  requireAdmin,
+  loginCookie,
+} = require('./auth');
+const { takeQuota, generationQuota } = require('./quotas');
+const { schedulerStats } = require('./scheduler');
+const { cacheStats } = require('./cache');
+const { scanPage, readKey, deleteMatching } = require('./redisBrowser');
+const { exportLibrary, importLibrary } = require('./backup');
+const {
+  parseBatch,
+  createBatch,
+  loadBatch,
+  cancelBatch,
+  recentBatches,
+  summarizeBatch,
+  batchResults,
+} = require('./batches');
+
+/**
+ * Validates a work type from a library route.
+ * @param {string} type - The requested type.
+ * @returns {string|null} An error message, or null if the type is known.
+ */
+function workTypeError(type) {
+  return WORK_TYPES.includes(type) ? null : `type must be one of ${WORK_TYPES.join(', ')}`;
+}
+
+/**
+ * Parses a revision number from a route or query parameter.
+ * @param {*} value - The raw value.
+ * @returns {number|null} The revision number, or null if invalid.
+ */
+function parseRevision(value) {
+  const n = parseInt(value, 10);
+  return n > 0 ? n : null;
+}
 
 /**
- * Sets up all the application routes.
+ * Picks the workspace an administrator's backup request applies to: their own,
+ * or that of the user named by `?user=<id>`.
+ * @param {RedisClientType} client - The Redis client instance (root key space).
+ * @param {Express.Request} req - The request.
+ * @returns {Promise<Object|null>} The workspace client, or null if the user does not exist.
+ */
+async function backupWorkspace(client, req) {
+  if (!req.query.user) return req.client;
+  const user = await getUser(client, req.query.user);
+  return user && scopedClient(client, workspacePrefix(user));
+}
+
+/**
+ * Sets up all the application routes. Every route after the login routes
+ * requires an authenticated user and works in that user's workspace
+ * (`req.client`). Only the Redis browser and account management, which are
+ * restricted to administrators, and the shared completion cache counters use
+ * the unscoped client.
  * @param {Express.Application} app - The Express application instance.
  * @param {RedisClientType} client - The Redis client instance.
  */
 function setupRoutes(app, client) {
+  // NEW: authentication and per-user workspaces
+  app.use(authenticate(client));
+
+  app.get('/login', (req, res) => {
+    res.send(buildLoginPage({ user: authEnabled() ? req.user : null }));
+  });
+
+  app.post('/login', async (req, res) => {
+    const user = await userForKey(client, req.body.apiKey);
+    if (!user) {
+      return res.status(401).send(buildLoginPage({ error: 'Unknown API key.' }));
+    }
+    res.set('Set-Cookie', loginCookie(req.body.apiKey));
+    res.redirect('/');
+  });
+
+  app.post('/logout', (_req, res) => {
+    res.set('Set-Cookie', loginCookie(null));
+    res.redirect('/login');
+  });
+
+  // NEW: account management (administrators only)
+  app.get('/admin/users', requireAdmin, async (_req, res) => {
+    res.json(await listUsers(client));
+  });
+
+  app.post('/admin/users', requireAdmin, async (req, res) => {
+    const created = await createUser(client, req.body);
+    if (created.error) {
+      return res.status(400).json({ error: created.error });
+    }
+    // The key is only ever shown here
+    res.status(201).json({ ...created.user, apiKey: created.apiKey });
+  });
+
+  app.post('/admin/users/:id/key', requireAdmin, async (req, res) => {
+    const user = await getUser(client, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ id: user.id, apiKey: await issueKey(client, user) });
+  });
+
+  app.delete('/admin/users/:id', requireAdmin, async (req, res) => {
+    if (!await deleteUser(client, req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.sendStatus(204);
+  });
+
   // Original universal generator
-  app.get('/', (_req, res) => {
-    res.send(buildUniversalPage());
+  app.get('/', async (req, res) => {
+    res.send(buildUniversalPage(profileNames(), await listTemplates(req.client), STYLE_OPTIONS, LANGUAGES));
   });
 
   // NEW: book-from-keywords UI
-  app.get('/book-from-keywords', (_req, res) => {
-    res.send(buildKeywordPage());
+  app.get('/book-from-keywords', async (req, res) => {
+    res.send(buildKeywordPage(profileNames(), await listTemplates(req.client), STYLE_OPTIONS, LANGUAGES));
+  });
+
+  // NEW: read a stored book in the browser
+  app.get('/books/:slug', async (req, res) => {
+    const book = await loadBook(req.client, req.params.slug);
+    if (!book) {
+      return res.status(404).send('Book not found');
+    }
+    res.send(buildBookPage(req.params.slug, book));
+  });
+
+  // NEW: read a stored universal piece in the browser
+  app.get('/pieces/:slug', async (req, res) => {
+    const [overview, content] = await Promise.all([
+      req.client.get(`overview:${req.params.slug}`),
+      req.client.get(`content:${req.params.slug}`),
+    ]);
+    if (content === null) {
+      return res.status(404).send('Piece not found');
+    }
+    res.send(buildPiecePage(req.params.slug, overview ? pieceTitle(overview) : req.params.slug, content));
+  });
+
+  // NEW: library of stored books and pieces
+  app.get('/library', async (req, res) => {
+    const query = libraryQuery(req.query);
+    const works = await listWorks(req.client, query);
+    res.send(buildLibraryPage(works, query, profileNames()));
+  });
+
+  app.get('/api/books', async (req, res) => {
+    const query = libraryQuery(req.query);
+    if (query.type && workTypeError(query.type)) {
+      return res.status(400).json({ error: workTypeError(query.type) });
+    }
+    res.json(await listWorks(req.client, query));
+  });
+
+  app.delete('/api/books/:type/:slug', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).json({ error: workTypeError(type) });
+    }
+    const removed = type === 'book' ? await deleteBook(req.client, slug) : await deletePiece(req.client, slug);
+    if (!removed) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.sendStatus(204);
+  });
+
+  // NEW: revision history, restore and diff
+  app.get('/api/books/:type/:slug/revisions', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).json({ error: workTypeError(type) });
+    }
+    const revisions = await workRevisions(req.client, type, slug);
+    if (!revisions.length) {
+      return res.status(404).json({ error: 'No revisions' });
+    }
+    res.json(revisions);
+  });
+
+  app.get('/api/books/:type/:slug/revisions/:rev', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).json({ error: workTypeError(type) });
+    }
+    const snapshot = await getRevision(req.client, type, slug, parseRevision(req.params.rev));
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(snapshot);
+  });
+
+  app.post('/api/books/:type/:slug/revisions/:rev/restore', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).json({ error: workTypeError(type) });
+    }
+    const rev = parseRevision(req.params.rev);
+    if (!await restoreRevision(req.client, type, slug, rev)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const revisions = await workRevisions(req.client, type, slug);
+    res.json({ slug, restored: rev, rev: revisions[revisions.length - 1].rev });
+  });
+
+  app.get('/api/books/:type/:slug/diff', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).json({ error: workTypeError(type) });
+    }
+    const from = parseRevision(req.query.from);
+    const to = parseRevision(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to revision numbers required' });
+    }
+    const ops = await diffRevisions(req.client, type, slug, from, to);
+    if (!ops) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json({ from, to, ops });
+  });
+
+  app.get('/library/:type/:slug/revisions', async (req, res) => {
+    const { type, slug } = req.params;
+    if (workTypeError(type)) {
+      return res.status(400).send(`${workTypeError(type)}.`);
+    }
+    const revisions = await workRevisions(req.client, type, slug);
+    if (!revisions.length) {
+      return res.status(404).send('No revisions');
+    }
+    // Defaults to the latest change: the previous revision against the current one
+    const latest = revisions[revisions.length - 1].rev;
+    const to = parseRevision(req.query.to) || latest;
+    const from = parseRevision(req.query.from) || revisions[revisions.length - 2]?.rev || to;
+    const ops = await diffRevisions(req.client, type, slug, from, to);
+    res.send(buildRevisionsPage(type, slug, revisions, { from, to, ops }));
   });
 
   // NEW: generate book overview endpoint
-  app.post('/generate-book-overview', async (req, res) => {
-    const { keywords } = req.body;
+  app.post('/generate-book-overview', generationQuota, async (req, res) => {
+    const { keywords, profile } = req.body;
     if (!keywords) {
       return res.status(400).json({ error: 'keywords required' });
     }
-    const overview = await generateBookOverview(keywords);
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+    const overview = await generateBookOverview(keywords, {
+      client: req.client,
+      profile,
+      templates: templates.refs,
+      style: style.style,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+    });
     if (!overview) {
       return res.status(503).json({ error: 'Overview generation failed' });
     }
@@ -45,74 +357,410 @@ function setupRoutes(app, client) {
   });
 
   // NEW: generate book outline endpoint
-  app.post('/generate-book-outline', async (req, res) => {
-    const { overview, chapters } = req.body;
+  app.post('/generate-book-outline', generationQuota, async (req, res) => {
+    const { overview, chapters, profile } = req.body;
     const chapterCount = parseInt(chapters, 10);
     if (!overview || !chapterCount) {
       return res.status(400).json({ error: 'overview and chapters required' });
     }
-    const outline = await generateChapterOutline(overview, chapterCount);
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+    let details;
+    const onInvalid = (_attempt, errors) => { details = errors; };
+    const outline = await generateChapterOutline(overview, chapterCount, {
+      client: req.client,
+      profile,
+      templates: templates.refs,
+      style: style.style,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+      onInvalid,
+    });
     if (!outline) {
-      return res.status(503).json({ error: 'Outline generation failed' });
+      return res.status(503).json({ error: 'Outline generation failed', details });
     }
     res.json({ outline });
   });
 
   // NEW: generate single chapter endpoint
-  app.post('/generate-chapter', async (req, res) => {
-    const { overview, chapterMeta, idx, total } = req.body;
+  app.post('/generate-chapter', generationQuota, async (req, res) => {
+    // outline and previousSummaries are optional continuity context
+    const { overview, chapterMeta, idx, total, profile, outline, previousSummaries } = req.body;
+    const targetWords = parseTargetWords(req.body.targetWords);
     if (!overview || !chapterMeta || !idx || !total) {
       return res.status(400).json({ error: 'missing required fields' });
     }
-    const content = await generateChapter(overview, chapterMeta, idx, total);
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    if (targetWords === null) {
+      return res.status(400).json({ error: 'targetWords must be a non-negative integer' });
+    }
+    if (outline !== undefined && outline !== null) {
+      const errors = validateOutline(outline, Array.isArray(outline) ? outline.length : 0);
+      if (errors.length) {
+        return res.status(400).json({ error: `invalid outline: ${errors.join(' ')}` });
+      }
+    }
+    if (previousSummaries !== undefined && previousSummaries !== null &&
+      (!Array.isArray(previousSummaries) || previousSummaries.some(s => typeof s !== 'string'))) {
+      return res.status(400).json({ error: 'previousSummaries must be an array of strings' });
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+    const content = await generateChapter(overview, chapterMeta, idx, total, {
+      client: req.client,
+      profile,
+      templates: templates.refs,
+      style: style.style,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+      outline: outline || undefined,
+      previousSummaries: previousSummaries || undefined,
+      targetWords,
+    });
     if (!content) {
       return res.status(503).json({ error: 'Chapter generation failed' });
     }
     res.json({ content });
   });
 
+  // NEW: summarize a written chapter for the continuity context of later ones
+  app.post('/summarize-chapter', generationQuota, async (req, res) => {
+    const { content, chapterMeta, idx, profile } = req.body;
+    if (!content || !chapterMeta || !idx) {
+      return res.status(400).json({ error: 'missing required fields' });
+    }
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+    const summary = await summarizeChapter(content, chapterMeta, idx, {
+      client: req.client,
+      profile,
+      templates: templates.refs,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+    });
+    if (!summary) {
+      return res.status(503).json({ error: 'Summary generation failed' });
+    }
+    res.json({ summary });
+  });
+
   // NEW: assemble and store the final book endpoint
   app.post('/assemble-book', async (req, res) => {
-    const { overview, outline, chaptersRaw, keywords } = req.body;
+    const { overview, outline, chaptersRaw, summaries, keywords, profile } = req.body;
     if (!overview || !outline || !chaptersRaw) {
       return res.status(400).json({ error: 'missing required fields' });
     }
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    // The templates and style the parts were generated with, as sent to the step endpoints
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+
+    // Assemble & store
+    const slug = await claimSlug(req.client, bookSlug(outline, keywords), 'book');
+    try {
+      await storeBook(req.client, slug, {
+        overview,
+        outline,
+        chapters: chaptersRaw,
+        summaries,
+        meta: {
+          profile: getProfile(profile),
+          keywords,
+          templates: templates.refs,
+          style: style.style,
+          language: language.language,
+        },
+      }, 'Assembled');
+    } catch (e) {
+      await releaseSlug(req.client, slug);
+      throw e;
+    }
+
+    res.json({ slug });
+  });
+
+  // NEW: start a server-side job (book from keywords, or universal piece)
+  app.post('/jobs', generationQuota, async (req, res) => {
+    const request = await parseJobRequest(req.client, req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    const { type, params } = request;
+    const job = await createJob(req.client, type, params);
+    res.status(202).json({ id: job.id });
+  });
+
+  // NEW: job status
+  app.get('/jobs/:id', async (req, res) => {
+    const job = await loadJob(req.client, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(summarizeJob(job));
+  });
+
+  // NEW: cancel a job
+  app.post('/jobs/:id/cancel', async (req, res) => {
+    const job = await cancelJob(req.client, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(summarizeJob(job));
+  });
+
+  // NEW: batch generation. The JSONL is sent as the request body (as
+  // application/x-ndjson or text/plain), or as `jsonl` in a JSON body;
+  // administrators may instead name a file on the server with `path`. Every
+  // valid brief counts against the generation quota.
+  app.post('/batches', express.text({
+    type: ['application/x-ndjson', 'application/jsonl', 'text/plain'],
+    limit: process.env.BATCH_SIZE_LIMIT || '5mb',
+  }), async (req, res) => {
+    let text = typeof req.body === 'string' ? req.body : req.body.jsonl;
+    let source = 'upload';
+    if (typeof req.body === 'object' && req.body.path) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'only administrators may read batches from a path' });
+      }
+      try {
+        text = await fs.promises.readFile(req.body.path, 'utf8');
+      } catch {
+        return res.status(400).json({ error: `cannot read ${req.body.path}` });
+      }
+      source = req.body.path;
+    }
+    const parsed = await parseBatch(req.client, text);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (!takeQuota(req, res, parsed.lines.filter(l => l.status === 'pending').length)) return;
+    const batch = await createBatch(req.client, parsed.lines, source);
+    res.status(202).json(summarizeBatch(batch));
+  });
+
+  // NEW: recent batches
+  app.get('/batches', async (req, res) => {
+    res.json(await recentBatches(req.client));
+  });
+
+  // NEW: batch status, line by line
+  app.get('/batches/:id', async (req, res) => {
+    const batch = await loadBatch(req.client, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(summarizeBatch(batch));
+  });
+
+  // NEW: batch results as a JSONL download
+  app.get('/batches/:id/results.jsonl', async (req, res) => {
+    const batch = await loadBatch(req.client, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="batch-${batch.id}-results.jsonl"`);
+    res.send(batchResults(batch));
+  });
+
+  // NEW: cancel a batch and its running jobs
+  app.post('/batches/:id/cancel', async (req, res) => {
+    const batch = await cancelBatch(req.client, req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(summarizeBatch(batch));
+  });
 
-    // 1. Assemble book
-    const assembled = [`# ${outline[0].title.split(' – ')[0] || 'Untitled Book'}\n\n## Overview\n\n${overview}\n\n`];
-    outline.forEach((meta, i) => {
-      assembled.push(`\n---\n\n# Chapter ${i + 1}: ${meta.title}\n\n*${meta.synopsis}*\n\n${chaptersRaw[i]}`);
+  // NEW: regenerate chapter N of a stored book, optionally with an extra instruction
+  app.post('/books/:slug/chapters/:n/regenerate', generationQuota, async (req, res) => {
+    const { slug } = req.params;
+    const index = parseInt(req.params.n, 10);
+    const { instruction, profile } = req.body;
+    const tokenBudget = parseTokenBudget(req.body.tokenBudget);
+    if (!(index >= 1)) {
+      return res.status(400).json({ error: 'chapter number must be a positive integer' });
+    }
+    if (tokenBudget === null) {
+      return res.status(400).json({ error: 'tokenBudget must be a non-negative integer' });
+    }
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    // Without a selection the job keeps the templates, style and language the book was written with
+    const templates = req.body.templates ? await resolveTemplates(req.client, req.body.templates) : {};
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).json({ error: style.error });
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).json({ error: language.error });
+    }
+    const book = await loadBook(req.client, slug);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (index > book.outline.length) {
+      return res.status(400).json({ error: `book has only ${book.outline.length} chapters` });
+    }
+    const job = await createJob(req.client, 'chapter', {
+      slug,
+      index,
+      instruction,
+      profile,
+      tokenBudget,
+      templates: templates.refs,
+      style: style.style,
+      language: language.language,
+      // A regenerated chapter must not come back from the completion cache
+      noCache: true,
     });
-    const fullBook = assembled.join('\n');
+    res.status(202).json({ id: job.id });
+  });
 
-    // 2. Slug & store
-    const slug = slugify(
-      outline[0].title.split(' – ')[0] || keywords.split(',')[0].trim(),
-      { lower: true, strict: true }
-    );
-    await client.set(`book-overview:${slug}`, overview);
-    await client.set(`book-outline:${slug}`, JSON.stringify(outline));
-    await client.set(`book-full:${slug}`, fullBook);
+  // NEW: translate a stored book into another language as a new, linked book
+  app.post('/books/:slug/translate', generationQuota, async (req, res) => {
+    const { slug } = req.params;
+    const { profile } = req.body;
+    const tokenBudget = parseTokenBudget(req.body.tokenBudget);
+    const language = parseLanguage(req.body.language);
+    if (language.error || !language.language) {
+      return res.status(400).json({ error: language.error || 'language required' });
+    }
+    if (tokenBudget === null) {
+      return res.status(400).json({ error: 'tokenBudget must be a non-negative integer' });
+    }
+    if (profileError(profile)) {
+      return res.status(400).json({ error: profileError(profile) });
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).json({ error: templates.error });
+    }
+    const book = await loadBook(req.client, slug);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    if (book.meta.language === language.language) {
+      return res.status(400).json({ error: `book is already in ${LANGUAGES[language.language]}` });
+    }
+    const job = await createJob(req.client, 'translation', {
+      slug,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+      profile,
+      tokenBudget,
+      templates: templates.refs,
+    });
+    res.status(202).json({ id: job.id });
+  });
 
-    res.json({ slug });
+  // NEW: live job progress (and streamed text) as Server-Sent Events
+  app.get('/events/:jobId', async (req, res) => {
+    const current = async () => {
+      const job = await loadJob(req.client, req.params.jobId);
+      return job && { snapshot: { ...summarizeJob(job), draft: jobDraft(job.id) }, finished: isFinished(job) };
+    };
+    const state = await current();
+    if (!state) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    streamJobEvents(req, res, req.params.jobId, state.snapshot, state.finished, current);
   });
 
   // Download routes
   app.get('/download/:filename', async (req, res) => {
     const fn = req.params.filename;
-    const slug = fn.replace(/\.(md|json)$/, '');
-    let content, contentType, name;
+    let slug, content, contentType, name;
 
-    if (fn.endsWith('-outline.json')) {
-      content = await client.get(`book-outline:${slug}`);
+    if (fn.endsWith('.html')) {
+      slug = fn.slice(0, -'.html'.length);
+      const book = await loadBook(req.client, slug);
+      content = book && buildBookPage(slug, book, { standalone: true });
+      contentType = 'text/html';
+      name = fn;
+    } else if (fn.endsWith('.tex')) {
+      slug = fn.slice(0, -'.tex'.length);
+      const book = await loadBook(req.client, slug);
+      content = book && buildLatex(book);
+      contentType = 'application/x-tex';
+      name = fn;
+    } else if (fn.endsWith('.docx')) {
+      slug = fn.slice(0, -'.docx'.length);
+      const book = await loadBook(req.client, slug);
+      content = book && buildDocx(book);
+      contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      name = fn;
+    } else if (fn.endsWith('.epub')) {
+      slug = fn.slice(0, -'.epub'.length);
+      const book = await loadBook(req.client, slug);
+      content = book && buildEpub(slug, book);
+      contentType = 'application/epub+zip';
+      name = fn;
+    } else if (fn.endsWith('-outline.json')) {
+      slug = fn.slice(0, -'-outline.json'.length);
+      content = await req.client.get(`book-outline:${slug}`);
       contentType = 'application/json';
       name = `${slug}-outline.json`;
     } else if (fn.endsWith('-overview.md')) {
-      content = await client.get(`book-overview:${slug}`);
+      slug = fn.slice(0, -'-overview.md'.length);
+      content = await req.client.get(`book-overview:${slug}`);
       contentType = 'text/markdown';
       name = `${slug}-overview.md`;
     } else {
-      content = await client.get(`book-full:${slug}`);
+      slug = fn.replace(/\.md$/, '');
+      // Books first, then universal pieces
+      content = await req.client.get(`book-full:${slug}`) ?? await req.client.get(`content:${slug}`);
       contentType = 'text/markdown';
       name = `${slug}.md`;
     }
@@ -126,57 +774,216 @@ function setupRoutes(app, client) {
   });
 
   // Original generate endpoint (unchanged)
-  app.post('/generate', async (req, res) => {
-    const { overview } = req.body;
+  app.post('/generate', generationQuota, async (req, res) => {
+    const { overview, profile } = req.body;
+    const targetWords = parseTargetWords(req.body.targetWords);
     if (!overview) {
       return res.status(400).send('Overview required.');
     }
+    if (profileError(profile)) {
+      return res.status(400).send(`${profileError(profile)}.`);
+    }
+    if (targetWords === null) {
+      return res.status(400).send('targetWords must be a non-negative integer.');
+    }
+    const templates = await resolveTemplates(req.client, req.body.templates);
+    if (templates.error) {
+      return res.status(400).send(`${templates.error}.`);
+    }
+    const style = parseStyle(req.body);
+    if (style.error) {
+      return res.status(400).send(`${style.error}.`);
+    }
+    const language = parseLanguage(req.body.language);
+    if (language.error) {
+      return res.status(400).send(`${language.error}.`);
+    }
 
-    const slug = slugify(
-      overview.split('\n').find(l => l.toLowerCase().startsWith('title:'))?.slice(6).trim() || 'content',
-      { lower: true, strict: true }
-    );
-
-    const content = await generateContent(overview);
+    const usage = emptyUsage();
+    const content = await generateContent(overview, {
+      client: req.client,
+      profile,
+      targetWords,
+      templates: templates.refs,
+      style: style.style,
+      language: language.language,
+      noCache: parseFlag(req.body.noCache),
+      onUsage: u => addUsage(usage, u),
+    });
     if (!content) {
       return res.status(503).send('Generation failed.');
     }
 
-    await client.set(`overview:${slug}`, overview);
-    await client.set(`content:${slug}`, content);
+    const slug = await claimSlug(req.client, pieceSlug(overview), 'piece');
+    try {
+      await storePiece(req.client, slug, overview, content, {
+        profile: getProfile(profile),
+        templates: { content: templates.refs.content },
+        style: style.style,
+        language: language.language,
+      }, 'Generated');
+    } catch (e) {
+      await releaseSlug(req.client, slug);
+      throw e;
+    }
+    await recordUsage(req.client, 'book', slug, usage);
     res.json({ slug });
   });
 
-  // NEW: Redis browser route
-  app.get('/redis', async (_req, res) => {
-    const keys = await client.keys('*');
-    const rows = await Promise.all(
-      keys.map(async k => {
-        const raw = await client.get(k);
-        const preview = (raw || '')
-          .replace(/\s+/g, ' ')
-          .slice(0, 120) + (raw?.length > 120 ? '…' : '');
-        return { key: k, preview };
-      })
-    );
-    res.send(buildRedisPage(rows));
+  // NEW: available generation profiles
+  app.get('/profiles', (_req, res) => {
+    res.json(profileNames().map(name => getProfile(name)));
+  });
+
+  // NEW: prompt template registry
+  app.get('/api/prompts', async (req, res) => {
+    res.json(await listTemplates(req.client));
+  });
+
+  app.post('/api/prompts/preview', (req, res) => {
+    const { text, stage, vars } = req.body;
+    if (typeof text !== 'string' || !TEMPLATE_STAGES.includes(stage)) {
+      return res.status(400).json({ error: `text and a stage (${TEMPLATE_STAGES.join(', ')}) required` });
+    }
+    if (vars !== undefined && vars !== null && (typeof vars !== 'object' || Array.isArray(vars))) {
+      return res.status(400).json({ error: 'vars must be an object of placeholder values' });
+    }
+    res.json(previewTemplate(text, stage, vars));
+  });
+
+  app.get('/api/prompts/:name', async (req, res) => {
+    const template = await getTemplate(req.client, req.params.name);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  });
+
+  app.put('/api/prompts/:name', async (req, res) => {
+    const { text, stage, description, note } = req.body;
+    const saved = await saveTemplate(req.client, req.params.name, { text, stage, description, note });
+    if (saved.error) {
+      return res.status(400).json({ error: saved.error });
+    }
+    res.status(201).json({ name: req.params.name, version: saved.version });
+  });
+
+  app.get('/prompts', async (req, res) => {
+    res.send(buildPromptsPage(await listTemplates(req.client), PLACEHOLDERS));
+  });
+
+  app.get('/prompts/:name', async (req, res) => {
+    const template = await getTemplate(req.client, req.params.name);
+    if (template) {
+      const wanted = parseRevision(req.query.version);
+      const shown = template.versions.find(v => v.version === wanted) || template.versions[template.versions.length - 1];
+      return res.send(buildPromptEditorPage(template, shown, stagePlaceholders(template.stage)));
+    }
+    // A new template starts from the latest text of its stage's default
+    const { stage } = req.query;
+    if (!TEMPLATE_STAGES.includes(stage)) {
+      return res.status(404).send('Template not found.');
+    }
+    const base = await getTemplate(req.client, stage);
+    const shown = { ...base.versions[base.versions.length - 1], version: null };
+    res.send(buildPromptEditorPage({ name: req.params.name, stage, description: '', versions: [] }, shown, stagePlaceholders(stage)));
+  });
+
+  // NEW: load of the shared LLM request scheduler
+  app.get('/api/scheduler', (_req, res) => {
+    res.json(schedulerStats());
+  });
+
+  // NEW: token usage and cost
+  app.get('/api/usage', async (req, res) => {
+    const days = parseInt(req.query.days, 10) || 30;
+    res.json({
+      ...(await usageReport(req.client, days)),
+      jobs: await recentJobs(req.client),
+      cache: await cacheStats(client),
+    });
+  });
+
+  app.get('/usage', async (req, res) => {
+    const days = parseInt(req.query.days, 10) || 30;
+    res.send(buildUsagePage({
+      ...(await usageReport(req.client, days)),
+      jobs: await recentJobs(req.client),
+      cache: await cacheStats(client),
+    }));
+  });
+
+  // NEW: library backup and restore (administrators only)
+  app.get('/admin/export', requireAdmin, async (req, res) => {
+    const workspace = await backupWorkspace(client, req);
+    if (!workspace) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const archive = await exportLibrary(workspace);
+    res.set('Content-Disposition', `attachment; filename="library-${archive.exportedAt.slice(0, 10)}.json"`);
+    res.json(archive);
+  });
+
+  // Backup archives hold a whole library, far beyond the default body limit
+  app.post('/admin/import', requireAdmin, express.json({ limit: process.env.IMPORT_SIZE_LIMIT || '200mb' }), async (req, res) => {
+    const workspace = await backupWorkspace(client, req);
+    if (!workspace) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const result = await importLibrary(workspace, req.body, { onConflict: req.query.onConflict || undefined });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  });
+
+  // NEW: Redis browser (administrators only; sees every workspace)
+  app.get('/redis', requireAdmin, async (req, res) => {
+    res.send(buildRedisPage(await scanPage(client, req.query), req.query));
+  });
+
+  app.get('/api/redis/keys', requireAdmin, async (req, res) => {
+    res.json(await scanPage(client, req.query));
+  });
+
+  app.get('/api/redis/keys/:key', requireAdmin, async (req, res) => {
+    const entry = await readKey(client, req.params.key);
+    if (!entry) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    res.json(entry);
+  });
+
+  app.delete('/api/redis/keys/:key', requireAdmin, async (req, res) => {
+    if (!await client.unlink(req.params.key)) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    res.sendStatus(204);
+  });
+
+  // Bulk delete by pattern; `dryRun` only counts the matching keys
+  app.post('/api/redis/delete', requireAdmin, async (req, res) => {
+    const { pattern } = req.body;
+    if (!pattern || typeof pattern !== 'string') {
+      return res.status(400).json({ error: 'pattern required' });
+    }
+    res.json(await deleteMatching(client, pattern, { dryRun: parseFlag(req.body.dryRun) }));
   });
 
   // NEW: delete a single key
-  app.delete('/redis/:key', async (req, res) => {
-    await client.del(decodeURIComponent(req.params.key));
+  app.delete('/redis/:key', requireAdmin, async (req, res) => {
+    await client.unlink(decodeURIComponent(req.params.key));
     res.sendStatus(204);
   });
 
-  // NEW: raw value route
-  app.get('/redis/raw/:key', async (req, res) => {
-    const key = decodeURIComponent(req.params.key);
-    const raw = await client.get(key);
-    if (raw === null) {
+  // NEW: raw value route; non-string values are shown as JSON
+  app.get('/redis/raw/:key', requireAdmin, async (req, res) => {
+    const entry = await readKey(client, decodeURIComponent(req.params.key));
+    if (!entry) {
       return res.status(404).send('Key not found');
     }
     res.type('text/plain; charset=utf-8');
-    res.send(raw);
+    res.send(entry.type === 'string' ? entry.value : JSON.stringify(entry.value, null, 2));
   });
 }
 
@@ -0,0 +1,210 @@
+/**
+ * Shared scheduler for upstream LLM requests. Every attempt callDeepSeek makes
+ * runs through it, whichever user, route or job it is for:
+ * - at most `LLM_CONCURRENCY` requests run at once; further ones wait in a
+ *   FIFO queue of at most `LLM_QUEUE_LIMIT` entries and are refused beyond it;
+ * - failures are classified as retryable (timeouts, network errors, 408, 429,
+ *   5xx) or fatal (other 4xx), and a `Retry-After` header sets the delay;
+ * - a circuit breaker opens after `LLM_BREAKER_THRESHOLD` consecutive
+ *   upstream failures and refuses requests for `LLM_BREAKER_COOLDOWN_MS`,
+ *   after which a single trial request decides whether it closes again. Only
+ *   a successful upstream response closes it; refused requests and tasks
+ *   aborted before sending one leave it as it is.
+ * @module scheduler
+ */
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.LLM_CONCURRENCY, 10) || 4);
+const QUEUE_LIMIT = Math.max(0, parseInt(process.env.LLM_QUEUE_LIMIT, 10) || 100);
+const BREAKER_THRESHOLD = Math.max(1, parseInt(process.env.LLM_BREAKER_THRESHOLD, 10) || 5);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// HTTP statuses worth retrying; other 4xx mean the request itself is wrong
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+let running = 0;
+const queue = [];
+
+const breaker = { state: 'closed', failures: 0, openedAt: null, trial: false };
+
+/**
+ * Creates an error raised by the scheduler itself rather than the upstream.
+ * @param {string} code - QUEUE_FULL or CIRCUIT_OPEN.
+ * @param {string} message - The error message.
+ * @returns {Error} The error, with `code` set.
+ */
+function schedulerError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Parses a `Retry-After` header, given in seconds or as an HTTP date.
+ * @param {string} [value] - The header value.
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classifies a failed request attempt.
+ * @param {Error} err - The error thrown by the provider or the scheduler.
+ * @returns {Object} { retryable, status, retryAfterMs }: whether another attempt
+ *   may succeed, the HTTP status (null if there was no response) and the delay
+ *   the upstream asked for (null if none).
+ */
+function classifyError(err) {
+  if (err.code === 'QUEUE_FULL' || err.code === 'CIRCUIT_OPEN') {
+    return { retryable: false, status: null, retryAfterMs: null };
+  }
+  const status = err.response?.status ?? null;
+  const retryAfterMs = parseRetryAfter(err.response?.headers?.['retry-after']);
+  // No response at all: a timeout, a dropped connection or a malformed stream
+  if (status === null) return { retryable: true, status, retryAfterMs };
+  return { retryable: RETRYABLE_STATUSES.includes(status), status, retryAfterMs };
+}
+
+/**
+ * Whether a failure says the upstream is unavailable (as opposed to the
+ * request being refused or rate limited), which counts towards the breaker.
+ * @param {Object} failure - The classified failure (see classifyError).
+ * @returns {boolean} True for timeouts, network errors and 5xx responses.
+ */
+function isOutage({ retryable, status }) {
+  return retryable && (status === null || status >= 500);
+}
+
+/* ---------- Circuit breaker ---------- */
+
+/**
+ * Checks whether the breaker lets a request through, moving it from open to
+ * half-open once the cooldown has passed.
+ * @returns {boolean} True if the request may be sent.
+ */
+function breakerAllows() {
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+    breaker.trial = false;
+  }
+  if (breaker.state === 'closed') return true;
+  // Half-open: exactly one trial request at a time
+  if (breaker.state === 'half-open' && !breaker.trial) {
+    breaker.trial = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Ends a half-open trial without a verdict, so the next request is tried instead.
+ */
+function releaseTrial() {
+  breaker.trial = false;
+}
+
+/**
+ * Records the outcome of a request in the breaker.
+ * @param {boolean} outage - Whether the request failed because the upstream is down.
+ */
+function recordOutcome(outage) {
+  breaker.trial = false;
+  if (!outage) {
+    if (breaker.state !== 'closed') console.log('🔌 LLM circuit closed');
+    Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null });
+    return;
+  }
+  breaker.failures++;
+  if (breaker.state === 'half-open' || breaker.failures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') console.warn(`🔌 LLM circuit open for ${BREAKER_COOLDOWN_MS} ms`);
+    Object.assign(breaker, { state: 'open', openedAt: Date.now() });
+  }
+}
+
+/* ---------- Queue ---------- */
+
+/**
+ * Starts queued tasks while there are free slots.
+ */
+function drain() {
+  while (running < CONCURRENCY && queue.length) {
+    const { task, resolve, reject } = queue.shift();
+    run(task).then(resolve, reject);
+  }
+}
+
+/**
+ * Runs a task in a slot, passing its outcome to the breaker.
+ * @param {Function} task - Performs one upstream request.
+ * @returns {Promise<*>} The task's result.
+ */
+async function run(task) {
+  running++;
+  try {
+    if (!breakerAllows()) {
+      throw schedulerError('CIRCUIT_OPEN', 'LLM upstream unavailable (circuit open)');
+    }
+    try {
+      const result = await task();
+      // A task that resolves null was aborted before sending a request
+      if (result === null || result === undefined) releaseTrial();
+      else recordOutcome(false);
+      return result;
+    } catch (e) {
+      // Rejected or rate-limited requests say nothing about the upstream's health
+      if (isOutage(classifyError(e))) recordOutcome(true);
+      else releaseTrial();
+      throw e;
+    }
+  } finally {
+    running--;
+    drain();
+  }
+}
+
+/**
+ * Runs one upstream request when a slot is free.
+ * @param {Function} task - Performs the request and returns a promise; resolves
+ *   null if it was aborted without sending one.
+ * @returns {Promise<*>} The task's result. Rejects with the task's error, or
+ *   with a QUEUE_FULL or CIRCUIT_OPEN scheduler error without running it.
+ */
+function schedule(task) {
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt < BREAKER_COOLDOWN_MS) {
+    return Promise.reject(schedulerError('CIRCUIT_OPEN', 'LLM upstream unavailable (circuit open)'));
+  }
+  if (running < CONCURRENCY) return run(task);
+  if (queue.length >= QUEUE_LIMIT) {
+    return Promise.reject(schedulerError('QUEUE_FULL', `LLM request queue full (${QUEUE_LIMIT} waiting)`));
+  }
+  return new Promise((resolve, reject) => queue.push({ task, resolve, reject }));
+}
+
+/**
+ * Reports the scheduler's load and breaker state.
+ * @returns {Object} { running, queued, concurrency, queueLimit, circuit }.
+ */
+function schedulerStats() {
+  return {
+    running,
+    queued: queue.length,
+    concurrency: CONCURRENCY,
+    queueLimit: QUEUE_LIMIT,
+    circuit: {
+      state: breaker.state,
+      failures: breaker.failures,
+      retryInMs: breaker.state === 'open'
+        ? Math.max(0, BREAKER_COOLDOWN_MS - (Date.now() - breaker.openedAt))
+        : 0,
+    },
+  };
+}
+
+module.exports = {
+  schedule,
+  classifyError,
+  parseRetryAfter,
+  schedulerStats,
+};
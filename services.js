@@ -1,115 +1,351 @@
 /**
- * Handles all external service interactions, including DeepSeek and Redis.
+ * Handles all external service interactions, including the LLM provider and Redis.
  * @module services
  */
-const axios = require('axios');
 const redis = require('redis');
-const { extractJSON } = require('./utils');
+const { getProvider } = require('./providers');
+const { stageSettings } = require('./profiles');
+const { callUsage, recordUsage, today } = require('./usage');
+const { renderPrompt } = require('./templates');
+const { styleInstruction, styleVars } = require('./style');
+const { languageName, languageInstruction } = require('./languages');
+const { schedule, classifyError } = require('./scheduler');
+const { requestHash, getCachedCompletion, cacheCompletion, dedupe, countCacheEvent } = require('./cache');
+const {
+  extractJSON,
+  parseMarkdownOutline,
+  validateOutline,
+  countWords,
+  joinContinuation,
+} = require('./utils');
 
 /* ---------- Redis Client ---------- */
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const client = redis.createClient({ url: REDIS_URL });
 client.on('error', err => console.error('Redis error:', err));
-(async () => await client.connect())();
 
-/* ---------- DeepSeek API ---------- */
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-const DEEPSEEK_URL = 'https://api.deepseek.com/v1/chat/completions';
+/**
+ * Opens the shared Redis connection. The server connects at startup; the CLI
+ * only when it reads or stores works. Until then the completion cache is off.
+ * @returns {Promise<void>}
+ */
+async function connectRedis() {
+  if (!client.isOpen) await client.connect();
+}
 
-if (!DEEPSEEK_API_KEY) {
-  console.error('🚨 Missing DEEPSEEK_API_KEY.');
-  process.exit(1);
+/* ---------- LLM Provider ---------- */
+const provider = getProvider();
+
+// Longest wait before a retry, whatever Retry-After asks for
+const MAX_RETRY_DELAY_MS = parseInt(process.env.LLM_MAX_RETRY_DELAY_MS, 10) || 120000;
+
+/**
+ * Returns the Redis client a call works with.
+ * @param {Object} opts - Call or generator options.
+ * @returns {RedisClientType} The caller's workspace, or the shared client.
+ */
+function store(opts) {
+  return opts.client || client;
 }
 
 /**
- * Low-level caller for the DeepSeek API with retry logic.
- * @param {Array<Object>} messages - The messages array for the API request.
- * @param {number} [maxTokens=4000] - The maximum number of tokens to generate.
- * @param {number} [temp=0.25] - The generation temperature.
- * @returns {Promise<string|null>} The generated text or null on failure.
+ * Performs one completion request with retry logic. Each attempt waits for a
+ * slot in the shared scheduler (see scheduler.js).
+ * @param {Object} body - The request body: model, messages and sampling parameters.
+ * @param {string} model - The model the usage is priced for.
+ * @param {Object} opts - Call options (see callDeepSeek).
+ * @returns {Promise<Object|null>} { content, finishReason, usage }, or null on failure,
+ *   abort or an empty completion.
  */
-async function callDeepSeek(messages, maxTokens = 4000, temp = 0.25) {
-  const maxRetries = 6;
+async function requestCompletion(body, model, opts) {
+  const { retries: maxRetries = 6, backoffMs = 1000 } = opts;
   for (let a = 1; a <= maxRetries; a++) {
+    if (opts.isAborted?.()) return null;
     try {
-      const { data } = await axios.post(
-        DEEPSEEK_URL,
-        {
-          model: 'deepseek-chat',
-          messages,
-          temperature: temp,
-          max_tokens: maxTokens
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${DEEPSEEK_API_KEY}`
-          },
-          timeout: 90000
-        }
-      );
-      return data.choices[0]?.message?.content || null;
+      // Waits for a free slot, during which the caller may have been halted
+      const result = await schedule(() => (opts.isAborted?.() ? null : provider.complete(body, { onToken: opts.onToken })));
+      if (!result) return null;
+      const usage = callUsage(model, result.usage);
+      await recordUsage(store(opts), 'day', today(), usage).catch(e => console.warn('Usage not recorded:', e.message));
+      if (opts.onUsage) opts.onUsage(usage);
+      return result.content ? result : null;
     } catch (e) {
-      console.warn(`DeepSeek attempt ${a} failed:`, e.message);
-      if (a === maxRetries) return null;
-      await new Promise(r => setTimeout(r, 1000 * 2 ** (a - 1)));
+      const { retryable, status, retryAfterMs } = classifyError(e);
+      console.warn(`${provider.name} attempt ${a} failed${status ? ` (HTTP ${status})` : ''}:`, e.message);
+      if (!retryable || a === maxRetries) return null;
+      const delay = Math.max(backoffMs * 2 ** (a - 1), retryAfterMs || 0);
+      if (delay > MAX_RETRY_DELAY_MS) {
+        console.warn(`${provider.name} asked to retry after ${delay} ms; giving up`);
+        return null;
+      }
+      if (opts.onRetry) opts.onRetry(a, maxRetries, e);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+  return null;
+}
+
+/**
+ * Counts a completion cache event without failing the call.
+ * @param {string} event - hits, misses or shared.
+ */
+function countCache(event) {
+  countCacheEvent(client, event).catch(e => console.warn('Cache event not counted:', e.message));
+}
+
+/**
+ * Low-level caller for the configured LLM provider. Completions are served
+ * from the completion cache when possible, identical concurrent requests share
+ * one upstream call (see cache.js), and upstream requests are retried.
+ * Cached and shared completions cost nothing, so they report no usage.
+ * @param {Array<Object>} messages - The messages array for the API request.
+ * @param {number} [maxTokens=4000] - The maximum number of tokens to generate.
+ * @param {number} [temp=0.25] - The generation temperature.
+ * @param {Object} [opts={}] - Call options.
+ * @param {string} [opts.model] - The model; the provider's default if omitted.
+ * @param {number} [opts.topP] - The nucleus sampling parameter.
+ * @param {boolean} [opts.noCache] - Skips the cache lookup and always asks the upstream;
+ *   the new completion still replaces the cached one.
+ * @param {Function} [opts.accept] - Called with the completion text; a completion it
+ *   rejects (e.g. an outline that fails validation) is neither cached nor served from
+ *   the cache, so asking again reaches the upstream.
+ * @param {number} [opts.retries=6] - The maximum number of attempts.
+ * @param {number} [opts.backoffMs=1000] - The delay before the first retry, doubled each time.
+ *   A longer `Retry-After` from the upstream takes precedence.
+ * @param {Function} [opts.onRetry] - Called with (attempt, maxRetries, error) after each failed
+ *   attempt that will be retried. Fatal errors (see scheduler.classifyError) are not retried.
+ * @param {Function} [opts.onToken] - When given, the completion is streamed and this is
+ *   called with each text delta as it arrives (cached or shared completions arrive as one
+ *   delta). The full text is still returned.
+ * @param {Function} [opts.onUsage] - Called with the priced usage of each completed call
+ *   (see usage.callUsage). Every call is also added to the daily totals.
+ * @param {Function} [opts.isAborted] - Checked before each attempt; when it returns true
+ *   no further request is made and null is returned.
+ * @param {RedisClientType} [opts.client] - The workspace of the requesting user (see auth.js),
+ *   which daily usage is recorded in and prompt templates are read from; the shared client
+ *   if omitted.
+ * @returns {Promise<Object|null>} { content, finishReason, usage }, or null on failure,
+ *   abort or an empty completion.
+ */
+async function callDeepSeek(messages, maxTokens = 4000, temp = 0.25, opts = {}) {
+  const model = opts.model || provider.model;
+  const body = {
+    model: opts.model || undefined,
+    messages,
+    temperature: temp,
+    top_p: opts.topP,
+    max_tokens: maxTokens
+  };
+  const hash = requestHash({ provider: provider.name, ...body, model });
+
+  // The cache lives in the shared Redis, which the CLI may run without
+  const cacheable = client.isOpen;
+  if (cacheable && !opts.noCache) {
+    const cached = await getCachedCompletion(client, hash).catch(e => console.warn('Cache read failed:', e.message));
+    if (cached && (!opts.accept || opts.accept(cached.content))) {
+      countCache('hits');
+      if (opts.onToken) opts.onToken(cached.content);
+      return cached;
     }
   }
+
+  let { result, shared } = await dedupe(hash, () => requestCompletion(body, model, opts));
+  if (shared && result) {
+    if (cacheable) countCache('shared');
+    if (opts.onToken) opts.onToken(result.content);
+    return result;
+  }
+  // The shared call failed or its caller gave up: try on our own
+  if (shared) result = await requestCompletion(body, model, opts);
+  if (!cacheable) return result;
+  countCache('misses');
+  if (result && (!opts.accept || opts.accept(result.content))) {
+    await cacheCompletion(client, hash, result).catch(e => console.warn('Completion not cached:', e.message));
+  }
+  return result;
+}
+
+/**
+ * Calls the provider and keeps asking it to continue while the text was cut
+ * off by the token limit (`finish_reason: "length"`) or is still shorter than
+ * the target length, appending each continuation seamlessly.
+ * @param {Array<Object>} messages - The messages array for the first request.
+ * @param {Object} settings - The stage settings from the generation profile.
+ * @param {Object} [opts={}] - Call options forwarded to callDeepSeek.
+ * @param {number} [opts.targetWords] - Overrides the profile's target length; 0 disables it.
+ * @param {number} [opts.maxContinuations] - Overrides the profile's continuation limit.
+ * @param {Function} [opts.onContinue] - Called with (pass, { reason, words }) before each continuation.
+ * @returns {Promise<string|null>} The complete text, or null if the first request failed.
+ */
+async function callWithContinuation(messages, settings, opts = {}) {
+  const callOpts = { ...opts, ...settings };
+  const target = opts.targetWords ?? settings.targetWords ?? 0;
+  const maxPasses = opts.maxContinuations ?? settings.maxContinuations ?? 0;
+
+  const first = await callDeepSeek(messages, settings.maxTokens, settings.temperature, callOpts);
+  if (!first) return null;
+  let text = first.content;
+  let finishReason = first.finishReason;
+
+  for (let pass = 1; pass <= maxPasses; pass++) {
+    if (opts.isAborted?.()) break;
+    const words = countWords(text);
+    const reason = finishReason === 'length' ? 'length' : words < target ? 'short' : null;
+    if (!reason) break;
+    if (opts.onContinue) opts.onContinue(pass, { reason, words });
+
+    const instruction = reason === 'length'
+      ? 'Your previous reply was cut off by the length limit. Continue exactly where it stopped—mid-sentence if necessary. Do not repeat any earlier text, do not restart or summarise, and add no commentary.'
+      : `The text is ${words} words long but should reach about ${target} words. Continue it from where it ends with further sections that deepen the material in the same style and markdown structure. Do not repeat earlier text, do not write a second conclusion, and add no commentary.`;
+    const next = await callDeepSeek(
+      [...messages, { role: 'assistant', content: text }, { role: 'user', content: instruction }],
+      settings.maxTokens,
+      settings.temperature,
+      callOpts
+    );
+    if (!next) break;
+    text = joinContinuation(text, next.content);
+    finishReason = next.finishReason;
+  }
+  return text;
+}
+
+/**
+ * Returns the placeholder values every writing stage receives.
+ * @param {Object} opts - Generator options: style and language.
+ * @returns {Object} The style fields and the language name.
+ */
+function commonVars(opts) {
+  return { ...styleVars(opts.style), language: languageName(opts.language) };
+}
+
+/**
+ * Renders the system prompt of a stage from its selected template, followed by
+ * the style and language requirements of the request.
+ * @param {string} stage - The template stage.
+ * @param {Object} opts - Generator options: client, templates, style and language.
+ * @param {Object} [vars={}] - Placeholder values besides the common ones.
+ * @returns {Promise<string>} The system prompt.
+ */
+async function systemPrompt(stage, opts, vars = {}) {
+  const text = await renderPrompt(store(opts), stage, opts.templates?.[stage], { ...commonVars(opts), ...vars });
+  return text + styleInstruction(opts.style, stage) + languageInstruction(opts.language);
 }
 
 /**
  * Generates a full piece of content from an overview.
  * @param {string} overview - The overview/brief to expand.
+ * @param {Object} [opts={}] - Call options forwarded to callWithContinuation.
+ * @param {string} [opts.profile] - The generation profile; the default profile if omitted.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage (see templates.resolveTemplates);
+ *   each stage's default template if omitted.
+ * @param {Object} [opts.style] - Style fields (see style.parseStyle).
+ * @param {string} [opts.language] - The output language code; the model's default if omitted.
  * @returns {Promise<string|null>} The generated content.
  */
-async function generateContent(overview) {
-  const prompt = {
-    role: 'system',
-    content:
-      'You are an expert long-form writer. Based solely on the user-supplied overview, produce a single, cohesive, 5-7 k-word piece (book chapter, lecture, article, etc.) that fully realizes the vision laid out in the overview. Use clear markdown structure (headings, lists, code blocks if relevant). Do NOT add extra meta-commentary—return only the finished text.'
-  };
-  return callDeepSeek([prompt, { role: 'user', content: overview }], 8000, 0.25);
+async function generateContent(overview, opts = {}) {
+  const prompt = { role: 'system', content: await systemPrompt('content', opts) };
+  return callWithContinuation([prompt, { role: 'user', content: overview }], stageSettings(opts.profile, 'content'), opts);
 }
 
 /**
  * Generates a book overview from a list of keywords.
  * @param {string} keywords - Comma-separated keywords.
+ * @param {Object} [opts={}] - Call options forwarded to callDeepSeek.
+ * @param {string} [opts.profile] - The generation profile; the default profile if omitted.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage (see templates.resolveTemplates);
+ *   each stage's default template if omitted.
+ * @param {Object} [opts.style] - Style fields (see style.parseStyle).
+ * @param {string} [opts.language] - The output language code; the model's default if omitted.
  * @returns {Promise<string|null>} The generated book overview.
  */
-async function generateBookOverview(keywords) {
-  const prompt = {
-    role: 'system',
-    content:
-      'You are a commissioning editor. The user will supply a few keywords. Write an engaging 200-300 word book overview (intended for the back-cover or Amazon page) that stitches those keywords into a coherent, exciting premise. Return only the prose—no labels.'
-  };
-  return callDeepSeek([prompt, { role: 'user', content: keywords }], 600, 0.4);
+async function generateBookOverview(keywords, opts = {}) {
+  const prompt = { role: 'system', content: await systemPrompt('overview', opts) };
+  const settings = stageSettings(opts.profile, 'overview');
+  const result = await callDeepSeek([prompt, { role: 'user', content: keywords }], settings.maxTokens, settings.temperature, { ...opts, ...settings });
+  return result ? result.content : null;
+}
+
+/* ---------- Outline parsing & repair ---------- */
+const MAX_OUTLINE_REPAIRS = 2;
+
+/**
+ * Extracts a candidate outline from model output: the first JSON array (or an
+ * object wrapping one), falling back to a numbered markdown list.
+ * @param {string} text - The model output.
+ * @returns {*} The candidate outline, or null if nothing resembling one was found.
+ */
+function parseOutline(text) {
+  const result = extractJSON(text);
+  if (result) {
+    const { json } = result;
+    if (Array.isArray(json)) return json;
+    const wrapped = json && Object.values(json).find(Array.isArray);
+    if (wrapped) return wrapped;
+  }
+  return parseMarkdownOutline(text);
+}
+
+/**
+ * Builds a callDeepSeek `accept` check that an outline reply validates.
+ * @param {number} chapterCount - The required number of chapters.
+ * @returns {Function} The check.
+ */
+function acceptsOutline(chapterCount) {
+  return content => !validateOutline(parseOutline(content), chapterCount).length;
 }
 
 /**
- * Generates a chapter outline from a book overview.
+ * Generates a chapter outline from a book overview. The result is validated
+ * (exact chapter count, non-empty title and synopsis, unique titles); invalid
+ * outlines are sent back to the model with the validation errors for repair.
  * @param {string} bookOverview - The book overview.
  * @param {number} chapterCount - The number of chapters to generate.
+ * @param {Object} [opts={}] - Call options forwarded to callDeepSeek.
+ * @param {string} [opts.profile] - The generation profile; the default profile if omitted.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage (see templates.resolveTemplates);
+ *   each stage's default template if omitted.
+ * @param {Object} [opts.style] - Style fields (see style.parseStyle).
+ * @param {string} [opts.language] - The output language code; the model's default if omitted.
+ * @param {Function} [opts.onInvalid] - Called with (attempt, errors, willRepair) for each invalid outline.
  * @returns {Promise<Array<Object>|null>} An array of chapter metadata objects.
  */
-async function generateChapterOutline(bookOverview, chapterCount) {
-  const prompt = {
-    role: 'system',
-    content:
-      `You are a developmental editor. The user provides a book overview and wants ${chapterCount} chapters. Return a JSON array of exactly ${chapterCount} objects. Each object must contain:\n` +
-      '"title": string, "synopsis": string (2 sentences summarising the chapter).\n' +
-      'Do NOT wrap the JSON in markdown code fences. Return only the raw JSON.'
-  };
-  const raw = await callDeepSeek(
-    [
-      prompt,
-      { role: 'user', content: `Book overview:\n${bookOverview}` }
-    ],
-    1200,
-    0.3
-  );
+async function generateChapterOutline(bookOverview, chapterCount, opts = {}) {
+  const prompt = { role: 'system', content: await systemPrompt('outline', opts, { chapterCount }) };
+  const settings = stageSettings(opts.profile, 'outline');
+  const request = [prompt, { role: 'user', content: `Book overview:\n${bookOverview}` }];
+  let messages = request;
+
+  for (let attempt = 0; attempt <= MAX_OUTLINE_REPAIRS; attempt++) {
+    const raw = await callDeepSeek(messages, settings.maxTokens, settings.temperature, {
+      ...opts,
+      ...settings,
+      accept: acceptsOutline(chapterCount),
+    });
+    if (!raw) return null;
+
+    const outline = parseOutline(raw.content);
+    const errors = validateOutline(outline, chapterCount);
+    if (!errors.length) {
+      return outline.map(({ title, synopsis }) => ({ title: title.trim(), synopsis: synopsis.trim() }));
+    }
+    console.warn(`Outline attempt ${attempt + 1} invalid:`, errors.join(' '));
+    const willRepair = attempt < MAX_OUTLINE_REPAIRS;
+    if (opts.onInvalid) opts.onInvalid(attempt + 1, errors, willRepair);
+    if (!willRepair) break;
 
-  const result = extractJSON(raw);
-  return result ? result.json : null;
+    messages = [
+      ...request,
+      { role: 'assistant', content: raw.content },
+      {
+        role: 'user',
+        content:
+          `That outline is invalid:\n- ${errors.join('\n- ')}\n\n` +
+          `Fix these problems and return the corrected outline as a raw JSON array of exactly ${chapterCount} objects with "title" and "synopsis" strings. No code fences, no commentary.`
+      }
+    ];
+  }
+  return null;
 }
 
 /**
@@ -118,22 +354,150 @@ async function generateChapterOutline(bookOverview, chapterCount) {
  * @param {Object} chapterMeta - The chapter's title and synopsis.
  * @param {number} idx - The chapter's index (for numbering).
  * @param {number} total - The total number of chapters.
+ * @param {Object} [opts={}] - Call options forwarded to callWithContinuation.
+ * @param {string} [opts.profile] - The generation profile; the default profile if omitted.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage (see templates.resolveTemplates);
+ *   each stage's default template if omitted.
+ * @param {Object} [opts.style] - Style fields (see style.parseStyle).
+ * @param {string} [opts.language] - The output language code; the model's default if omitted.
+ * @param {string} [opts.instruction] - An extra instruction appended to the chapter brief.
+ * @param {Array<Object>} [opts.outline] - The full book outline, for continuity.
+ * @param {Array<string>} [opts.previousSummaries] - Summaries of the chapters before this one.
  * @returns {Promise<string|null>} The generated chapter text.
  */
-async function generateChapter(bookOverview, chapterMeta, idx, total) {
-  const chapterPrompt = {
+async function generateChapter(bookOverview, chapterMeta, idx, total, opts = {}) {
+  const vars = { ...commonVars(opts), index: idx, total, title: chapterMeta.title, synopsis: chapterMeta.synopsis };
+  let system = await renderPrompt(store(opts), 'chapter', opts.templates?.chapter, vars);
+  let userContent = `Book overview:\n${bookOverview}`;
+
+  // Continuity context: where this chapter sits, and what earlier chapters already covered
+  if (opts.outline) {
+    userContent += `\n\nFull outline:\n${opts.outline.map((m, i) => `${i + 1}. ${m.title} – ${m.synopsis}`).join('\n')}`;
+  }
+  if (opts.previousSummaries?.length) {
+    userContent += `\n\nSummaries of the chapters already written:\n${opts.previousSummaries.map((sum, i) => `Chapter ${i + 1}: ${sum}`).join('\n\n')}`;
+  }
+  if (opts.outline || opts.previousSummaries?.length) {
+    system += ` ${await renderPrompt(store(opts), 'continuity', opts.templates?.continuity, vars)}`;
+  }
+  system += styleInstruction(opts.style, 'chapter') + languageInstruction(opts.language);
+
+  userContent += `\n\nChapter ${idx}/${total} – ${chapterMeta.title}\nSynopsis: ${chapterMeta.synopsis}`;
+  if (opts.instruction) {
+    userContent += `\n\nAdditional instruction for this chapter: ${opts.instruction}`;
+  }
+  return callWithContinuation(
+    [{ role: 'system', content: system }, { role: 'user', content: userContent }],
+    stageSettings(opts.profile, 'chapter'),
+    opts
+  );
+}
+
+/**
+ * Summarizes a written chapter for use as continuity context by later chapters.
+ * @param {string} chapterText - The chapter text.
+ * @param {Object} chapterMeta - The chapter's title and synopsis.
+ * @param {number} idx - The chapter's index.
+ * @param {Object} [opts={}] - Call options forwarded to callDeepSeek.
+ * @param {string} [opts.profile] - The generation profile; the default profile if omitted.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage (see templates.resolveTemplates);
+ *   each stage's default template if omitted.
+ * @param {string} [opts.language] - The output language code; the model's default if omitted.
+ * @returns {Promise<string|null>} The summary.
+ */
+async function summarizeChapter(chapterText, chapterMeta, idx, opts = {}) {
+  const prompt = {
     role: 'system',
-    content:
-      'You are an expert long-form writer. The user supplies a book overview and a chapter synopsis. Expand it into a full 5-7 k-word chapter in markdown. Use headings, lists, and code blocks where relevant. Return only the chapter text—no meta-commentary.'
+    content: await renderPrompt(store(opts), 'summary', opts.templates?.summary, {
+      ...commonVars(opts),
+      index: idx,
+      title: chapterMeta.title
+    }) + languageInstruction(opts.language)
   };
-  const userContent = `Book overview:\n${bookOverview}\n\nChapter ${idx}/${total} – ${chapterMeta.title}\nSynopsis: ${chapterMeta.synopsis}`;
-  return callDeepSeek([chapterPrompt, { role: 'user', content: userContent }], 8000, 0.25);
+  const settings = stageSettings(opts.profile, 'summary');
+  const result = await callDeepSeek(
+    [prompt, { role: 'user', content: `Chapter ${idx} – ${chapterMeta.title}\n\n${chapterText}` }],
+    settings.maxTokens,
+    settings.temperature,
+    { ...opts, ...settings }
+  );
+  return result ? result.content : null;
+}
+
+/* ---------- Translation ---------- */
+
+/**
+ * Renders the translation system prompt.
+ * @param {string} language - The target language code.
+ * @param {Object} opts - Generator options: templates and sourceLanguage.
+ * @returns {Promise<string>} The system prompt.
+ */
+async function translationPrompt(language, opts) {
+  return renderPrompt(store(opts), 'translation', opts.templates?.translation, {
+    language: languageName(language),
+    sourceLanguage: languageName(opts.sourceLanguage) || 'its original language',
+  });
+}
+
+/**
+ * Translates a markdown text (an overview or a chapter), continuing the
+ * output while it is cut off by the token limit.
+ * @param {string} text - The markdown to translate.
+ * @param {string} language - The target language code.
+ * @param {Object} [opts={}] - Call options forwarded to callWithContinuation.
+ * @param {string} [opts.profile] - The generation profile; its chapter settings are used.
+ * @param {Object} [opts.templates] - Prompt templates keyed by stage.
+ * @param {string} [opts.sourceLanguage] - The language code of the text, if known.
+ * @returns {Promise<string|null>} The translation.
+ */
+async function translateText(text, language, opts = {}) {
+  const prompt = { role: 'system', content: await translationPrompt(language, opts) };
+  // Only continue on truncation: a translation's length is set by its source
+  return callWithContinuation([prompt, { role: 'user', content: text }], stageSettings(opts.profile, 'chapter'), {
+    ...opts,
+    targetWords: 0,
+  });
+}
+
+/**
+ * Translates the titles and synopses of a chapter outline. The result must
+ * validate as an outline of the same length.
+ * @param {Array<Object>} outline - The chapter outline.
+ * @param {string} language - The target language code.
+ * @param {Object} [opts={}] - Call options forwarded to callDeepSeek (see translateText).
+ * @returns {Promise<Array<Object>|null>} The translated outline.
+ */
+async function translateOutline(outline, language, opts = {}) {
+  const prompt = { role: 'system', content: await translationPrompt(language, opts) };
+  const request =
+    'Translate the "title" and "synopsis" values of this JSON chapter outline. Keep the keys and the order, ' +
+    `and return only the raw JSON array of exactly ${outline.length} objects—no code fences.\n\n` +
+    JSON.stringify(outline.map(({ title, synopsis }) => ({ title, synopsis })), null, 2);
+  const settings = stageSettings(opts.profile, 'outline');
+  const raw = await callDeepSeek([prompt, { role: 'user', content: request }], settings.maxTokens, settings.temperature, {
+    ...opts,
+    ...settings,
+    accept: acceptsOutline(outline.length),
+  });
+  if (!raw) return null;
+  const translated = parseOutline(raw.content);
+  const errors = validateOutline(translated, outline.length);
+  if (errors.length) {
+    console.warn('Translated outline invalid:', errors.join(' '));
+    return null;
+  }
+  return translated.map(({ title, synopsis }) => ({ title: title.trim(), synopsis: synopsis.trim() }));
 }
 
 module.exports = {
   client,
+  connectRedis,
+  callDeepSeek,
   generateContent,
   generateBookOverview,
   generateChapterOutline,
   generateChapter,
+  summarizeChapter,
+  translateText,
+  translateOutline,
 };
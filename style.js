@@ -0,0 +1,102 @@
+/**
+ * Structured style parameters for generation: genre, target audience, reading
+ * level, tone, point of view and use of code blocks. Requests carry them as
+ * top-level fields; the generators turn the ones that are set into a list of
+ * style requirements appended to the system prompt of each writing stage.
+ * @module style
+ */
+
+const STYLE_FIELDS = ['genre', 'audience', 'readingLevel', 'tone', 'pointOfView', 'codeBlocks'];
+
+/**
+ * Allowed values of the fields with a fixed choice, with the requirement each adds.
+ */
+const STYLE_OPTIONS = {
+  genre: {
+    textbook: 'textbook – systematic explanations, terms defined when introduced, worked examples and recaps',
+    novel: 'novel – narrative prose with characters, scenes and dialogue rather than expository sections',
+    lecture: 'lecture – a spoken, direct register addressed to a live audience, with signposting between points',
+    'how-to': 'how-to guide – concrete step-by-step instructions, practical tips and common pitfalls',
+  },
+  readingLevel: {
+    children: 'children (ages 8-12) – short sentences, everyday words, no jargon',
+    teen: 'teenagers – clear and lively, technical terms explained in passing',
+    general: 'general adult readers – plain language, technical terms explained when first used',
+    undergraduate: 'undergraduate – precise terminology, some prior knowledge of the field assumed',
+    expert: 'expert – dense and technical, no explanation of the field\'s basics',
+  },
+  pointOfView: {
+    first: 'first person',
+    second: 'second person, addressing the reader as "you"',
+    third: 'third person',
+  },
+  codeBlocks: {
+    auto: null,
+    encouraged: 'illustrate the material with code blocks wherever it helps',
+    none: 'do not use any code blocks, even where the instructions above suggest them',
+  },
+};
+
+// Stages that write prose; code block requirements only apply to these
+const LONG_FORM_STAGES = ['content', 'chapter'];
+
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Picks and validates the style fields of a request body.
+ * @param {Object} body - The request body.
+ * @returns {Object} { style } with the fields that were set (undefined if none), or { error }.
+ */
+function parseStyle(body) {
+  const style = {};
+  for (const field of STYLE_FIELDS) {
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (STYLE_OPTIONS[field]) {
+      if (!Object.hasOwn(STYLE_OPTIONS[field], value)) {
+        return { error: `${field} must be one of ${Object.keys(STYLE_OPTIONS[field]).join(', ')}` };
+      }
+    } else if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+      return { error: `${field} must be text of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    style[field] = value;
+  }
+  return { style: Object.keys(style).length ? style : undefined };
+}
+
+/**
+ * Builds the style requirements added to the system prompt of a stage.
+ * @param {Object} [style] - The style fields.
+ * @param {string} stage - The pipeline stage.
+ * @returns {string} The requirements, or an empty string if no field applies.
+ */
+function styleInstruction(style, stage) {
+  if (!style) return '';
+  const lines = [
+    style.genre && `Genre: ${STYLE_OPTIONS.genre[style.genre]}.`,
+    style.audience && `Target audience: ${style.audience}.`,
+    style.readingLevel && `Reading level: ${STYLE_OPTIONS.readingLevel[style.readingLevel]}.`,
+    style.tone && `Tone: ${style.tone}.`,
+    style.pointOfView && `Point of view: write in the ${STYLE_OPTIONS.pointOfView[style.pointOfView]}.`,
+    LONG_FORM_STAGES.includes(stage) && style.codeBlocks && STYLE_OPTIONS.codeBlocks[style.codeBlocks] &&
+      `Code blocks: ${STYLE_OPTIONS.codeBlocks[style.codeBlocks]}.`,
+  ].filter(Boolean);
+  return lines.length ? `\n\nStyle requirements:\n- ${lines.join('\n- ')}` : '';
+}
+
+/**
+ * Returns the style fields as template placeholder values, unset fields empty.
+ * @param {Object} [style] - The style fields.
+ * @returns {Object} Values keyed by field name.
+ */
+function styleVars(style) {
+  return Object.fromEntries(STYLE_FIELDS.map(f => [f, style?.[f] || '']));
+}
+
+module.exports = {
+  STYLE_FIELDS,
+  STYLE_OPTIONS,
+  parseStyle,
+  styleInstruction,
+  styleVars,
+};
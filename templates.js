@@ -0,0 +1,279 @@
+/**
+ * Prompt template registry. Every system prompt the generators send is a
+ * named, versioned template with `{{placeholder}}` fields, stored as JSON
+ * under `prompt-template:<name>`. Each template belongs to one stage; the
+ * template named after a stage is its default and starts out as the built-in
+ * text below (version 1) until it is edited. Saving a template always adds a
+ * new version, so generated works can record exactly which text they used.
+ * @module templates
+ */
+
+const { STYLE_FIELDS } = require('./style');
+
+// Placeholders every writing stage receives; empty when unset
+const COMMON = [...STYLE_FIELDS, 'language'];
+
+/**
+ * Stages with a system prompt, and the placeholders each one can use. The
+ * writing stages also receive the style fields (see style.js) and the name of
+ * the output language.
+ */
+const PLACEHOLDERS = {
+  content: [...COMMON],
+  overview: [...COMMON],
+  outline: ['chapterCount', ...COMMON],
+  chapter: ['index', 'total', 'title', 'synopsis', ...COMMON],
+  continuity: ['index', 'total', ...COMMON],
+  summary: ['index', 'title', ...COMMON],
+  translation: ['language', 'sourceLanguage'],
+};
+
+const TEMPLATE_STAGES = Object.keys(PLACEHOLDERS);
+
+// Placeholder values used when previewing a template
+const SAMPLE_VARS = {
+  chapterCount: 8,
+  index: 3,
+  total: 8,
+  title: 'Roots Beneath the Forest Floor',
+  synopsis: 'How mycelial networks connect trees and move nutrients between them. Introduces the idea of the "wood wide web".',
+  genre: 'textbook',
+  audience: 'amateur foragers',
+  readingLevel: 'general',
+  tone: 'warm and curious',
+  pointOfView: 'second',
+  codeBlocks: 'none',
+  language: 'German',
+  sourceLanguage: 'English',
+};
+
+const BUILT_IN = {
+  content: {
+    description: 'Universal piece from a brief.',
+    text: 'You are an expert long-form writer. Based solely on the user-supplied overview, produce a single, cohesive, 5-7 k-word piece (book chapter, lecture, article, etc.) that fully realizes the vision laid out in the overview. Use clear markdown structure (headings, lists, code blocks if relevant). Do NOT add extra meta-commentary—return only the finished text.',
+  },
+  overview: {
+    description: 'Back-cover overview from keywords.',
+    text: 'You are a commissioning editor. The user will supply a few keywords. Write an engaging 200-300 word book overview (intended for the back-cover or Amazon page) that stitches those keywords into a coherent, exciting premise. Return only the prose—no labels.',
+  },
+  outline: {
+    description: 'JSON chapter outline from the overview.',
+    text: 'You are a developmental editor. The user provides a book overview and wants {{chapterCount}} chapters. Return a JSON array of exactly {{chapterCount}} objects. Each object must contain:\n' +
+      '"title": string, "synopsis": string (2 sentences summarising the chapter).\n' +
+      'Chapter titles must be unique. Do NOT wrap the JSON in markdown code fences. Return only the raw JSON.',
+  },
+  chapter: {
+    description: 'One chapter from the overview and its synopsis.',
+    text: 'You are an expert long-form writer. The user supplies a book overview and a chapter synopsis. Expand it into a full 5-7 k-word chapter in markdown. Use headings, lists, and code blocks where relevant. Return only the chapter text—no meta-commentary.',
+  },
+  continuity: {
+    description: 'Appended to the chapter prompt when earlier chapters are given as context.',
+    text: 'This chapter is part of one continuous book: build on what earlier chapters established, do not repeat their introductions or redefine terms they already explained, do not contradict them, and leave topics that later chapters cover to those chapters.',
+  },
+  summary: {
+    description: 'Continuity summary of a written chapter.',
+    text: 'You are a continuity editor. Summarize the chapter the user supplies in 120-180 words for the writers of later chapters: the key points made, terms and concepts introduced or defined, examples used, and any promises of what comes next. Return only the summary prose.',
+  },
+  translation: {
+    description: 'Translation of a stored book, part by part.',
+    text: 'You are a professional translator. Translate the text the user supplies from {{sourceLanguage}} into {{language}}. Preserve the markdown structure exactly: every heading level, list, table, link, emphasis and paragraph break stays where it is. Copy fenced code blocks and inline code unchanged. Translate faithfully and idiomatically, without adding, omitting or summarizing anything. Return only the translation—no notes or commentary.',
+  },
+};
+
+/**
+ * Builds the Redis key of a template.
+ * @param {string} name - The template name.
+ * @returns {string} The Redis key.
+ */
+function templateKey(name) {
+  return `prompt-template:${name}`;
+}
+
+/**
+ * Returns the placeholders a stage supplies.
+ * @param {string} stage - The stage.
+ * @returns {Array<string>} The placeholder names, or an empty list for an unknown stage.
+ */
+function stagePlaceholders(stage) {
+  return Object.hasOwn(PLACEHOLDERS, stage) ? PLACEHOLDERS[stage] : [];
+}
+
+/**
+ * Builds the unsaved record of a built-in template.
+ * @param {string} stage - The stage, which is also the template name.
+ * @returns {Object} The template record.
+ */
+function builtInRecord(stage) {
+  return {
+    name: stage,
+    stage,
+    description: BUILT_IN[stage].description,
+    versions: [{ version: 1, text: BUILT_IN[stage].text, note: 'Built-in', createdAt: null }],
+  };
+}
+
+/**
+ * Loads a template record with all its versions.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} name - The template name.
+ * @returns {Promise<Object|null>} { name, stage, description, versions }, or null if unknown.
+ */
+async function getTemplate(client, name) {
+  const raw = await client.get(templateKey(name));
+  if (raw) return JSON.parse(raw);
+  return Object.hasOwn(BUILT_IN, name) ? builtInRecord(name) : null;
+}
+
+/**
+ * Lists every template, built-in defaults first.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @returns {Promise<Array<Object>>} Entries with name, stage, description and latest version.
+ */
+async function listTemplates(client) {
+  const stored = await client.keys(templateKey('*'));
+  const names = [...new Set([...TEMPLATE_STAGES, ...stored.map(k => k.slice(templateKey('').length))])];
+  const records = await Promise.all(names.map(name => getTemplate(client, name)));
+  return records.filter(Boolean).map(({ name, stage, description, versions }) => ({
+    name,
+    stage,
+    description,
+    latest: versions[versions.length - 1].version,
+  }));
+}
+
+/**
+ * Saves a new version of a template, creating the template if needed.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} name - The template name.
+ * @param {Object} fields - The new version.
+ * @param {string} fields.text - The template text.
+ * @param {string} [fields.stage] - The stage; required when creating a template.
+ * @param {string} [fields.description] - A new description.
+ * @param {string} [fields.note] - What changed in this version.
+ * @returns {Promise<Object>} { version } on success, or { error }.
+ */
+async function saveTemplate(client, name, { text, stage, description, note }) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    return { error: 'name must be lowercase letters, digits and dashes' };
+  }
+  if (typeof text !== 'string' || !text.trim()) return { error: 'text required' };
+  let record = await getTemplate(client, name);
+  if (record && stage && stage !== record.stage) {
+    return { error: `template "${name}" belongs to stage ${record.stage}` };
+  }
+  if (!record) {
+    if (!TEMPLATE_STAGES.includes(stage)) {
+      return { error: `stage must be one of ${TEMPLATE_STAGES.join(', ')}` };
+    }
+    record = { name, stage, description: description || '', versions: [] };
+  }
+  const version = record.versions.length ? record.versions[record.versions.length - 1].version + 1 : 1;
+  record.versions.push({ version, text, note: note || null, createdAt: new Date().toISOString() });
+  if (description !== undefined) record.description = description;
+  await client.set(templateKey(name), JSON.stringify(record));
+  return { version };
+}
+
+/**
+ * Resolves the template selection of a request into pinned versions for every
+ * stage. A selection maps stages to a template name, optionally with a version
+ * (`"my-chapter@2"`); stages not mentioned use the latest version of their
+ * default template.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {Object} [selection] - Template names keyed by stage.
+ * @returns {Promise<Object>} { refs } with `{ name, version }` keyed by stage, or { error }.
+ */
+async function resolveTemplates(client, selection) {
+  selection = selection || {};
+  if (typeof selection !== 'object' || Array.isArray(selection)) {
+    return { error: 'templates must be an object keyed by stage' };
+  }
+  const unknownStage = Object.keys(selection).find(s => !TEMPLATE_STAGES.includes(s));
+  if (unknownStage) return { error: `unknown template stage "${unknownStage}"` };
+
+  const refs = {};
+  for (const stage of TEMPLATE_STAGES) {
+    const [name, rawVersion] = String(selection[stage] || stage).split('@');
+    const record = await getTemplate(client, name);
+    if (!record) return { error: `unknown template "${name}"` };
+    if (record.stage !== stage) return { error: `template "${name}" is for stage ${record.stage}, not ${stage}` };
+    const version = rawVersion ? parseInt(rawVersion, 10) : record.versions[record.versions.length - 1].version;
+    if (!record.versions.some(v => v.version === version)) {
+      return { error: `template "${name}" has no version ${rawVersion}` };
+    }
+    refs[stage] = { name, version };
+  }
+  return { refs };
+}
+
+/**
+ * Fills the `{{placeholder}}` fields of a template text. Unknown or missing
+ * values render as empty strings.
+ * @param {string} text - The template text.
+ * @param {Object} vars - Placeholder values.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (Object.hasOwn(vars, key) ? vars[key] ?? '' : '').toString());
+}
+
+/**
+ * Lists the placeholders in a template text that its stage does not supply.
+ * @param {string} text - The template text.
+ * @param {string} stage - The stage.
+ * @returns {Array<string>} The unknown placeholder names.
+ */
+function unknownPlaceholders(text, stage) {
+  const used = [...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+  return [...new Set(used)].filter(p => !stagePlaceholders(stage).includes(p));
+}
+
+/**
+ * Renders a template text with sample placeholder values, for the editor.
+ * @param {string} text - The template text.
+ * @param {string} stage - The stage the text is for.
+ * @param {Object} [vars] - Placeholder values overriding the samples.
+ * @returns {Object} { rendered, placeholders, unknown }: the rendered text, the
+ *   placeholders the stage supplies and those used in the text it does not.
+ */
+function previewTemplate(text, stage, vars) {
+  vars = vars || {};
+  // Only the stage's own placeholders are filled, as they are in generation
+  const placeholders = stagePlaceholders(stage);
+  const values = Object.fromEntries(placeholders.map(p => [p, (Object.hasOwn(vars, p) ? vars[p] : null) ?? SAMPLE_VARS[p]]));
+  return {
+    rendered: renderTemplate(text, values),
+    placeholders,
+    unknown: unknownPlaceholders(text, stage),
+  };
+}
+
+/**
+ * Renders the system prompt of a stage from a pinned or selected template,
+ * falling back to the latest default template of the stage.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} stage - One of TEMPLATE_STAGES.
+ * @param {Object|string} [ref] - `{ name, version }`, or a "name[@version]" string.
+ * @param {Object} [vars={}] - Placeholder values.
+ * @returns {Promise<string>} The rendered prompt.
+ */
+async function renderPrompt(client, stage, ref, vars = {}) {
+  const [name, rawVersion] = typeof ref === 'string' ? ref.split('@') : [ref?.name, ref?.version];
+  const record = (name && await getTemplate(client, name)) || await getTemplate(client, stage);
+  const wanted = parseInt(rawVersion, 10);
+  const version = record.versions.find(v => v.version === wanted) || record.versions[record.versions.length - 1];
+  return renderTemplate(version.text, vars);
+}
+
+module.exports = {
+  TEMPLATE_STAGES,
+  PLACEHOLDERS,
+  stagePlaceholders,
+  getTemplate,
+  listTemplates,
+  saveTemplate,
+  resolveTemplates,
+  renderTemplate,
+  previewTemplate,
+  renderPrompt,
+};
@@ -0,0 +1,181 @@
+/**
+ * Token usage and cost accounting. Every completion is counted per day; jobs
+ * keep their own totals on the job record, which are added to the book (or
+ * piece) they produce. Totals live in plain Redis counters,
+ * `usage:<scope>:<id>:<field>`, so concurrent calls can update them atomically.
+ *
+ * Prices are USD per million tokens, keyed by model. The built-in table can
+ * be extended or overridden with JSON in `USAGE_PRICES`, e.g.
+ * `{"llama3": {"prompt": 0, "completion": 0}, "*": {"prompt": 1, "completion": 2}}`,
+ * where `*` applies to models not listed.
+ * @module usage
+ */
+
+const BUILT_IN_PRICES = {
+  'deepseek-chat': { prompt: 0.27, completion: 1.1 },
+  'deepseek-reasoner': { prompt: 0.55, completion: 2.19 },
+  mock: { prompt: 0, completion: 0 },
+  '*': { prompt: 0, completion: 0 },
+};
+
+const FIELDS = ['calls', 'promptTokens', 'completionTokens', 'cost'];
+
+/**
+ * Merges the built-in price table with any supplied through the environment.
+ * @returns {Object} Prices keyed by model.
+ */
+function loadPrices() {
+  if (!process.env.USAGE_PRICES) return { ...BUILT_IN_PRICES };
+  try {
+    return { ...BUILT_IN_PRICES, ...JSON.parse(process.env.USAGE_PRICES) };
+  } catch (e) {
+    console.error('Ignoring invalid USAGE_PRICES:', e.message);
+    return { ...BUILT_IN_PRICES };
+  }
+}
+
+const prices = loadPrices();
+
+/**
+ * Returns a zeroed usage total.
+ * @returns {Object} { calls, promptTokens, completionTokens, totalTokens, cost }.
+ */
+function emptyUsage() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Converts the usage block of one completion into a usage total, priced for its model.
+ * @param {string} model - The model that served the call.
+ * @param {Object|null} usage - The provider's usage block (prompt_tokens, completion_tokens).
+ * @returns {Object} The usage total of the call.
+ */
+function callUsage(model, usage) {
+  const price = prices[model] || prices['*'];
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  return {
+    calls: 1,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost: (promptTokens * price.prompt + completionTokens * price.completion) / 1e6,
+  };
+}
+
+/**
+ * Adds one usage total into another, in place.
+ * @param {Object} total - The total to add to.
+ * @param {Object} usage - The usage to add.
+ * @returns {Object} The updated total.
+ */
+function addUsage(total, usage) {
+  FIELDS.forEach(f => { total[f] += usage[f]; });
+  total.totalTokens = total.promptTokens + total.completionTokens;
+  return total;
+}
+
+/**
+ * Builds the Redis key of one usage counter.
+ * @param {string} scope - "day" or "book".
+ * @param {string} id - The date (YYYY-MM-DD) or slug.
+ * @param {string} field - One of FIELDS.
+ * @returns {string} The Redis key.
+ */
+function counterKey(scope, id, field) {
+  return `usage:${scope}:${id}:${field}`;
+}
+
+/**
+ * Lists the Redis keys of every usage counter of one scope entry.
+ * @param {string} scope - "day" or "book".
+ * @param {string} id - The date (YYYY-MM-DD) or slug.
+ * @returns {Array<string>} The Redis keys.
+ */
+function usageKeys(scope, id) {
+  return FIELDS.map(f => counterKey(scope, id, f));
+}
+
+/**
+ * Adds a usage total to the stored counters of a scope.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} scope - "day" or "book".
+ * @param {string} id - The date (YYYY-MM-DD) or slug.
+ * @param {Object} usage - The usage to add.
+ */
+async function recordUsage(client, scope, id, usage) {
+  await Promise.all([
+    client.incrBy(counterKey(scope, id, 'calls'), usage.calls),
+    client.incrBy(counterKey(scope, id, 'promptTokens'), usage.promptTokens),
+    client.incrBy(counterKey(scope, id, 'completionTokens'), usage.completionTokens),
+    client.incrByFloat(counterKey(scope, id, 'cost'), usage.cost),
+  ]);
+}
+
+/**
+ * Reads the stored usage of one scope entry.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} scope - "day" or "book".
+ * @param {string} id - The date (YYYY-MM-DD) or slug.
+ * @returns {Promise<Object>} The usage total (zero if nothing was recorded).
+ */
+async function readUsage(client, scope, id) {
+  const values = await Promise.all(FIELDS.map(f => client.get(counterKey(scope, id, f))));
+  const total = emptyUsage();
+  FIELDS.forEach((f, i) => { total[f] = Number(values[i]) || 0; });
+  total.totalTokens = total.promptTokens + total.completionTokens;
+  return total;
+}
+
+/**
+ * Lists every stored entry of a scope with its usage.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {string} scope - "day" or "book".
+ * @returns {Promise<Array<Object>>} Entries `{ id, ...usage }`.
+ */
+async function listUsage(client, scope) {
+  // SCAN rather than KEYS, so the report never blocks Redis
+  const ids = new Set();
+  for await (const key of client.scanIterator({ MATCH: counterKey(scope, '*', 'calls'), COUNT: 500 })) {
+    ids.add(key.slice(`usage:${scope}:`.length, -':calls'.length));
+  }
+  return Promise.all([...ids].map(async id => ({ id, ...(await readUsage(client, scope, id)) })));
+}
+
+/**
+ * Returns today's date as used for the day scope.
+ * @returns {string} YYYY-MM-DD (UTC).
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the usage report: daily totals for the most recent days, totals per
+ * book or piece, and the grand total over the listed days.
+ * @param {RedisClientType} client - The Redis client instance.
+ * @param {number} [days=30] - How many of the most recent days to include.
+ * @returns {Promise<Object>} { prices, days, books, total }.
+ */
+async function usageReport(client, days = 30) {
+  const [dayList, bookList] = await Promise.all([listUsage(client, 'day'), listUsage(client, 'book')]);
+  const recent = dayList.sort((a, b) => b.id.localeCompare(a.id)).slice(0, days);
+  return {
+    prices,
+    days: recent,
+    books: bookList.sort((a, b) => b.totalTokens - a.totalTokens),
+    total: recent.reduce((total, d) => addUsage(total, d), emptyUsage()),
+  };
+}
+
+module.exports = {
+  emptyUsage,
+  callUsage,
+  addUsage,
+  recordUsage,
+  usageKeys,
+  readUsage,
+  listUsage,
+  usageReport,
+  today,
+};
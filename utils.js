@@ -59,6 +59,83 @@ function extractJSON(str) {
   return null;
 }
 
+/**
+ * Parses a chapter outline written as a numbered markdown list or as
+ * "Chapter N" headings, for when the model ignores the JSON instruction.
+ * Understands "1. **Title** – synopsis", "1. Title: synopsis" and items whose
+ * synopsis follows on the next lines.
+ * @param {string} str - The model output.
+ * @returns {Array<Object>|null} Entries with title and synopsis, or null if no list was found.
+ */
+function parseMarkdownOutline(str) {
+  const itemStart = /^\s*(?:#{1,6}\s*)?(?:chapter\s+(\d+)\s*[:.)\-–—]?|(\d+)\s*[.)])\s*(.*)$/i;
+  const items = [];
+  for (const line of str.split('\n')) {
+    const m = line.match(itemStart);
+    if (m) {
+      items.push({ head: m[3].trim(), body: [] });
+    } else if (items.length && line.trim()) {
+      items[items.length - 1].body.push(line.trim());
+    }
+  }
+  if (!items.length) return null;
+
+  const clean = s => s.replace(/^[\s*_"'#]+|[\s*_"']+$/g, '').trim();
+  return items.map(({ head, body }) => {
+    let title = head;
+    let synopsis = '';
+    const bold = head.match(/^\*\*(.+?)\*\*\s*[:\-–—]?\s*(.*)$/);
+    const split = head.match(/^(.+?)\s*(?::|\s[-–—])\s+(.+)$/);
+    if (bold) {
+      [, title, synopsis] = bold;
+    } else if (split) {
+      [, title, synopsis] = split;
+    }
+    synopsis = [synopsis, ...body].filter(Boolean).join(' ').replace(/^(?:synopsis|summary)\s*:\s*/i, '');
+    return { title: clean(title), synopsis: clean(synopsis) };
+  });
+}
+
+/**
+ * Checks a chapter outline against the expected schema: an array of exactly
+ * `count` objects with non-empty string `title` and `synopsis` fields and
+ * unique titles.
+ * @param {*} outline - The candidate outline.
+ * @param {number} count - The required number of chapters.
+ * @returns {Array<string>} The validation errors; empty if the outline is valid.
+ */
+function validateOutline(outline, count) {
+  if (!Array.isArray(outline)) {
+    return ['The outline must be a JSON array of chapter objects.'];
+  }
+  const errors = [];
+  if (outline.length !== count) {
+    errors.push(`The outline has ${outline.length} chapters but exactly ${count} are required.`);
+  }
+  const seen = new Map();
+  outline.forEach((entry, i) => {
+    const n = i + 1;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`Chapter ${n} must be an object with "title" and "synopsis".`);
+      return;
+    }
+    ['title', 'synopsis'].forEach(field => {
+      if (typeof entry[field] !== 'string' || !entry[field].trim()) {
+        errors.push(`Chapter ${n} is missing a non-empty "${field}" string.`);
+      }
+    });
+    if (typeof entry.title === 'string' && entry.title.trim()) {
+      const key = entry.title.trim().toLowerCase();
+      if (seen.has(key)) {
+        errors.push(`Chapter ${n} repeats the title of chapter ${seen.get(key)} ("${entry.title.trim()}"); titles must be unique.`);
+      } else {
+        seen.set(key, n);
+      }
+    }
+  });
+  return errors;
+}
+
 /**
  * Escapes HTML characters in a string to prevent XSS.
  * @param {string} str - The string to escape.
@@ -73,7 +150,74 @@ function escapeHtml(str) {
     .replace(/'/g, '&#039;');
 }
 
+/**
+ * Counts the whitespace-separated words in a string.
+ * @param {string} str - The text to count.
+ * @returns {number} The word count.
+ */
+function countWords(str) {
+  return (str || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Appends a continuation to a text, dropping any part of the continuation
+ * that repeats the end of the text and restoring the whitespace between them.
+ * @param {string} text - The text so far.
+ * @param {string} more - The continuation.
+ * @returns {string} The combined text.
+ */
+function joinContinuation(text, more) {
+  const maxOverlap = Math.min(text.length, more.length, 500);
+  for (let n = maxOverlap; n >= 20; n--) {
+    if (text.endsWith(more.slice(0, n))) {
+      more = more.slice(n);
+      break;
+    }
+  }
+  // Text cut at a word boundary needs a separator; text cut mid-word does not
+  const needsSpace = /[.!?:;,)"'*`]$/.test(text) && /^[A-Za-z0-9(*`"']/.test(more);
+  return text + (needsSpace ? ' ' : '') + more;
+}
+
+/**
+ * Parses an optional target word count from a request body.
+ * @param {*} value - The raw value.
+ * @returns {number|undefined|null} The count, undefined if absent, or null if invalid.
+ */
+function parseTargetWords(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = parseInt(value, 10);
+  return n >= 0 ? n : null;
+}
+
+/**
+ * Parses an optional per-job token budget from a request body.
+ * @param {*} value - The raw value.
+ * @returns {number|undefined|null} The budget, undefined if absent or 0 (no budget),
+ *   or null if invalid.
+ */
+function parseTokenBudget(value) {
+  const n = parseTargetWords(value);
+  return n === 0 ? undefined : n;
+}
+
+/**
+ * Reads an optional boolean flag from a JSON or form request body.
+ * @param {*} value - The raw value.
+ * @returns {boolean} True for true, "true", "on" and "1".
+ */
+function parseFlag(value) {
+  return [true, 'true', 'on', '1'].includes(value);
+}
+
 module.exports = {
   extractJSON,
-  escapeHtml
+  parseMarkdownOutline,
+  validateOutline,
+  escapeHtml,
+  countWords,
+  joinContinuation,
+  parseTargetWords,
+  parseTokenBudget,
+  parseFlag,
 };